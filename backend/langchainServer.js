@@ -3,6 +3,33 @@ const express = require('express');
 const cors = require('cors');
 const LangChainService = require('./services/langchainService');
 const LangChainSynthesisService = require('./services/langchainSynthesisService');
+const { openEventStream } = require('./services/eventStream');
+const { prepareHistory } = require('./services/conversationHistory');
+const { getProviders, isConfigured } = require('./providers');
+const { resolveModelSelection, describeSelections, describeModelOptions } = require('./services/modelSelection');
+const { createResponseCache } = require('./services/cache');
+const { createReadiness } = require('./services/providerReadiness');
+const {
+  AGGREGATE_RESPONSE_VERSION,
+  buildProviderResult,
+  getResponseTexts,
+  summarizeUsage,
+  createAggregateResponse
+} = require('./services/aggregateResponse');
+const { isGenuine } = require('./services/providerResult');
+const { resolveStrategy, describeStrategies } = require('./services/synthesis');
+const ConversationStore = require('./services/conversationStore');
+const { createConversationRouter } = require('./routes/conversations');
+const { createRateLimiter, RATE_LIMIT_HEADERS } = require('./middleware/rateLimiter');
+const { requestId, REQUEST_ID_HEADER } = require('./middleware/requestId');
+const { logger } = require('./services/logger');
+const { countRequests, metricsHandler } = require('./services/metrics');
+const {
+  AggregationRegistry,
+  isCancellation,
+  AGGREGATION_ID_HEADER,
+  CANCELLED_STATUS
+} = require('./services/aggregationRegistry');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -10,117 +37,373 @@ const PORT = process.env.PORT || 3001;
 // Initialize LangChain services
 const langchainService = new LangChainService();
 const synthesisService = new LangChainSynthesisService();
+const DEFAULT_STRATEGY = synthesisService.defaultStrategy;
+const responseCache = createResponseCache();
+const readiness = createReadiness(langchainService.resilience);
+const conversationStore = new ConversationStore();
+const aggregations = new AggregationRegistry();
+const rateLimiter = createRateLimiter();
+// Each selected provider counts as one call against the daily quota
+const limitAggregation = rateLimiter.limit(req => req.aggregateRequest.selections.length, { deferred: true });
 
-app.use(cors());
-app.use(express.json());
+app.use(cors({ exposedHeaders: [...RATE_LIMIT_HEADERS, AGGREGATION_ID_HEADER, REQUEST_ID_HEADER] }));
+app.use(requestId());
+app.use(countRequests());
+// Saved AI messages carry full aggregate responses, so allow larger bodies
+app.use(express.json({ limit: '5mb' }));
+app.use('/api/conversations', createConversationRouter(conversationStore));
 
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'Backend is healthy', 
     message: 'AI Aggregator backend with LangChain is running!',
     timestamp: new Date(),
-    services: ['OpenAI', 'Anthropic', 'Google AI'],
-    framework: 'LangChain'
+    services: getProviders().map(provider => provider.displayName),
+    framework: 'LangChain',
+    circuitBreakers: langchainService.resilience.describe(getProviders())
   });
 });
 
-// Enhanced Aggregation Route with LangChain
-app.post('/api/aggregate', async (req, res) => {
-  const { prompt } = req.body;
+// Per-provider readiness: key, recent probe, error rate and circuit state
+app.get('/api/health/ready', readiness.handler(getProviders));
 
+function validatePrompt(prompt) {
   if (!prompt || prompt.trim().length === 0) {
-    return res.status(400).json({ error: 'Prompt is required and cannot be empty' });
+    return 'Prompt is required and cannot be empty';
   }
 
   if (prompt.length > 2000) {
-    return res.status(400).json({ error: 'Prompt is too long. Maximum 2000 characters allowed.' });
+    return 'Prompt is too long. Maximum 2000 characters allowed.';
+  }
+
+  return null;
+}
+
+// Validate the request body; returns { error } or the parsed request
+function parseAggregateRequest(body) {
+  const { prompt } = body;
+
+  const validationError = validatePrompt(prompt);
+  if (validationError) {
+    return { error: validationError };
+  }
+
+  const { selections, error } = resolveModelSelection(body);
+  if (error) {
+    return { error };
   }
 
+  const { strategy, error: strategyError } = resolveStrategy(body.strategy, DEFAULT_STRATEGY);
+  if (strategyError) {
+    return { error: strategyError };
+  }
+
+  return {
+    prompt,
+    history: prepareHistory(body.history),
+    selections,
+    strategy,
+    noCache: body.noCache === true,
+    requestId: body.requestId
+  };
+}
+
+// Middleware answering 400 to an invalid aggregation request before the rate
+// limiter charges for it; routes find the parsed request in req.aggregateRequest
+function validateAggregateRequest(req, res, next) {
+  const request = parseAggregateRequest(req.body);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+  req.aggregateRequest = request;
+  next();
+}
+
+// A request skips the cache with { "noCache": true } or Cache-Control: no-cache
+function wantsNoCache(req) {
+  return /no-cache|no-store/i.test(req.get('Cache-Control') || '');
+}
+
+// Model answers are cached only when every provider gave a genuine answer or
+// is simply not configured - a failure must not be replayed
+function cachedQueryAllModels({ prompt, history, selections, noCache }, produce) {
+  const key = responseCache.buildKey('models', {
+    prompt,
+    history,
+    models: describeSelections(selections),
+    version: AGGREGATE_RESPONSE_VERSION
+  });
+  return responseCache.wrap(key, produce, {
+    bypass: noCache,
+    shouldCache: (modelResponses) => selections.every(({ provider }) => {
+      const result = modelResponses[provider.id];
+      return isGenuine(result) || result?.reason === 'no_api_key';
+    })
+  });
+}
+
+// Syntheses are keyed by the strategy, the synthesis models and the exact
+// answers they combine; the error fallback (no valid models) and syntheses
+// written without a synthesis model are never cached
+function cachedSynthesis({ prompt, history, strategy, noCache }, modelResponses, produce) {
+  const key = responseCache.buildKey('synthesis', {
+    prompt,
+    history,
+    strategy,
+    synthesisModels: synthesisService.describeModels().map(({ provider, model }) => `${provider}:${model}`),
+    responses: getResponseTexts(modelResponses),
+    version: AGGREGATE_RESPONSE_VERSION
+  });
+  return responseCache.wrap(key, produce, {
+    bypass: noCache,
+    shouldCache: (synthesis) => synthesis.details.validModels > 0 && !synthesis.details.fallback
+  });
+}
+
+function buildAggregateResponse({ prompt, history, selections }, modelResponses, synthesis, timing, cache) {
+  const responses = Object.fromEntries(selections.map(selection => [
+    selection.provider.id,
+    buildProviderResult(selection, modelResponses[selection.provider.id] || {})
+  ]));
+  return createAggregateResponse({
+    prompt,
+    synthesis,
+    responses,
+    metadata: {
+      backend: 'langchain',
+      processingTimeMs: Date.now() - timing.startTime,
+      queryTimeMs: timing.queryTime,
+      synthesisTimeMs: timing.synthesisTime,
+      timestamp: new Date().toISOString(),
+      totalSources: selections.length,
+      successfulSources: synthesis.details.validModels,
+      historyMessages: history.length,
+      models: describeSelections(selections),
+      cache: {
+        hit: cache.models && cache.synthesis,
+        models: cache.models,
+        synthesis: cache.synthesis
+      },
+      usage: summarizeUsage(responses, synthesis, cache),
+      circuitBreakers: langchainService.resilience.describe(selections.map(selection => selection.provider))
+    }
+  });
+}
+
+function logAggregationStart(aggregationId, { prompt, history, selections, strategy, noCache }, fields = {}) {
+  logger.info('Aggregation started', {
+    aggregationId,
+    ...logger.promptFields(prompt),
+    historyMessages: history.length,
+    providers: selections.map(selection => selection.provider.id),
+    strategy,
+    noCache: !!noCache,
+    ...fields
+  });
+}
+
+function logProviderResults(modelResponses, queryTimeMs, cached) {
+  Object.entries(modelResponses).forEach(([provider, result]) => {
+    logger.info('Provider finished', {
+      provider,
+      status: result.status,
+      reason: result.reason,
+      message: result.message,
+      responseLength: isGenuine(result) ? result.text.length : 0,
+      latencyMs: result.latencyMs,
+      attempts: result.attempts,
+      cached
+    });
+  });
+  logger.info('Model queries completed', { queryTimeMs, cached });
+}
+
+function logSynthesis(synthesis, synthesisTimeMs, cached) {
+  logger.info('Synthesis completed', {
+    confidence: synthesis.confidence,
+    confidenceScore: synthesis.confidenceScore,
+    approach: synthesis.approach,
+    fallback: synthesis.details.fallback,
+    validModels: synthesis.details.validModels,
+    synthesisTimeMs,
+    cached
+  });
+}
+
+// Enhanced Aggregation Route with LangChain
+app.post('/api/aggregate', validateAggregateRequest, limitAggregation, async (req, res) => {
+  const request = req.aggregateRequest;
+  request.noCache = request.noCache || wantsNoCache(req);
+  const { prompt, history, selections, strategy } = request;
+  const aggregation = aggregations.start(request.requestId, res);
+  const { signal } = aggregation;
+
   try {
-    console.log(`\n=== LangChain Aggregation for prompt ===`);
-    console.log(`Prompt: "${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}"`);
-    console.log(`Prompt length: ${prompt.length} characters`);
+    logAggregationStart(aggregation.id, request);
 
     const startTime = Date.now();
 
     // Query all models using LangChain
-    const modelResponses = await langchainService.queryAllModels(prompt);
+    const { value: modelResponses, cached: modelsCached } = await cachedQueryAllModels(request, () => {
+      req.chargeProviderCalls();
+      return langchainService.queryAllModels(prompt, history, selections, signal);
+    });
     
     const queryTime = Date.now() - startTime;
-    console.log(`\n=== Model queries completed in ${queryTime}ms ===`);
-
-    // Log response status
-    Object.entries(modelResponses).forEach(([model, response]) => {
-      if (response && !response.includes('mock response')) {
-        console.log(`${model}: SUCCESS - ${response.length} characters`);
-      } else {
-        console.log(`${model}: FALLBACK - Using mock response`);
-      }
-    });
+    logProviderResults(modelResponses, queryTime, modelsCached);
 
     // Synthesize responses using LangChain
     const synthesisStartTime = Date.now();
-    const synthesis = await synthesisService.synthesizeResponses(prompt, modelResponses);
+    const { value: synthesis, cached: synthesisCached } = await cachedSynthesis(request, modelResponses, () =>
+      synthesisService.synthesize({
+        strategy,
+        query: prompt,
+        responses: getResponseTexts(modelResponses),
+        history,
+        signal
+      })
+    );
     const synthesisTime = Date.now() - synthesisStartTime;
 
-    console.log(`\n=== Synthesis completed in ${synthesisTime}ms ===`);
-    console.log(`Confidence: ${synthesis.confidence} (${synthesis.confidenceScore}%)`);
-    console.log(`Approach: ${synthesis.approach}`);
-    console.log(`Valid models: ${synthesis.details.validModels}`);
-
-    // Format individual responses for client
-    const formattedResponses = {
-      openai: modelResponses.openai || 'No response available',
-      anthropic: modelResponses.anthropic || 'No response available',
-      google: modelResponses.google || 'No response available'
-    };
+    logSynthesis(synthesis, synthesisTime, synthesisCached);
 
     // Prepare complete response
-    const response = {
-      prompt: prompt,
-      synthesis: {
-        response: synthesis.response,
-        confidence: synthesis.confidence,
-        confidenceScore: synthesis.confidenceScore,
-        approach: synthesis.approach,
-        sourcesUsed: Object.keys(modelResponses).filter(key => 
-          modelResponses[key] && !modelResponses[key].includes('mock response')
-        ),
-        details: synthesis.details
-      },
-      individualResponses: formattedResponses,
-      metadata: {
-        processingTimeMs: Date.now() - startTime,
-        queryTimeMs: queryTime,
-        synthesisTimeMs: synthesisTime,
-        timestamp: new Date().toISOString(),
-        totalSources: 3,
-        successfulSources: synthesis.details.validModels,
-        framework: 'LangChain'
-      }
-    };
+    const response = buildAggregateResponse(request, modelResponses, synthesis, {
+      startTime,
+      queryTime,
+      synthesisTime
+    }, { models: modelsCached, synthesis: synthesisCached });
 
     res.json(response);
 
   } catch (error) {
-    console.error('\n=== Error in /api/aggregate route ===');
-    console.error('Error details:', error);
+    if (isCancellation(error, signal)) {
+      logger.info('Aggregation stopped', { aggregationId: aggregation.id, reason: signal.reason?.message });
+      if (!res.headersSent) {
+        res.status(CANCELLED_STATUS).json({ error: 'Aggregation cancelled', requestId: aggregation.id });
+      }
+      return;
+    }
+    logger.error('Aggregation failed', { aggregationId: aggregation.id, error });
     res.status(500).json({ 
       error: 'Failed to aggregate responses due to an internal error.',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      requestId: req.id
+    });
+  }
+});
+
+// Streaming Aggregation Route - Server-Sent Events with per-provider progress
+app.post('/api/aggregate/stream', validateAggregateRequest, limitAggregation, async (req, res) => {
+  const request = req.aggregateRequest;
+  request.noCache = request.noCache || wantsNoCache(req);
+  const { prompt, history, selections, strategy } = request;
+  const aggregation = aggregations.start(request.requestId, res);
+  const { signal } = aggregation;
+
+  const stream = openEventStream(res);
+
+  try {
+    logAggregationStart(aggregation.id, request, { streaming: true });
+
+    const startTime = Date.now();
+
+    const { value: modelResponses, cached: modelsCached } = await cachedQueryAllModels(request, () => {
+      req.chargeProviderCalls();
+      return langchainService.streamAllModels(prompt, history, selections, (event) => {
+        stream.send(event.type, event);
+      }, signal);
+    });
+    signal.throwIfAborted();
+    if (modelsCached) {
+      // Replay cached answers as whole-response events
+      selections.forEach(({ provider }) => {
+        stream.send('provider-started', { type: 'provider-started', provider: provider.id, cached: true });
+        const { status, reason, text, message, latencyMs, attempts } = modelResponses[provider.id];
+        stream.send('provider-finished', {
+          type: 'provider-finished',
+          provider: provider.id,
+          status,
+          reason,
+          response: text,
+          message,
+          latencyMs,
+          attempts,
+          cached: true
+        });
+      });
+    }
+    const queryTime = Date.now() - startTime;
+    logProviderResults(modelResponses, queryTime, modelsCached);
+
+    stream.send('synthesis-started', { type: 'synthesis-started' });
+    const synthesisStartTime = Date.now();
+    const { value: synthesis, cached: synthesisCached } = await cachedSynthesis(request, modelResponses, () =>
+      synthesisService.synthesize({
+        strategy,
+        query: prompt,
+        responses: getResponseTexts(modelResponses),
+        history,
+        signal,
+        onDelta: (delta) => stream.send('synthesis-delta', { type: 'synthesis-delta', delta }),
+        // The next synthesis model starts the answer over
+        onRestart: () => stream.send('synthesis-started', { type: 'synthesis-started', restarted: true })
+      })
+    );
+    if (synthesisCached) {
+      stream.send('synthesis-delta', { type: 'synthesis-delta', delta: synthesis.answer, cached: true });
+    }
+    const synthesisTime = Date.now() - synthesisStartTime;
+
+    logSynthesis(synthesis, synthesisTime, synthesisCached);
+
+    stream.send('complete', {
+      type: 'complete',
+      result: buildAggregateResponse(request, modelResponses, synthesis, {
+        startTime,
+        queryTime,
+        synthesisTime
+      }, { models: modelsCached, synthesis: synthesisCached })
+    });
+  } catch (error) {
+    if (isCancellation(error, signal)) {
+      logger.info('Aggregation stopped', { aggregationId: aggregation.id, reason: signal.reason?.message });
+      stream.send('cancelled', { type: 'cancelled', requestId: aggregation.id });
+      return;
+    }
+    logger.error('Aggregation failed', { aggregationId: aggregation.id, error });
+    stream.send('error', {
+      type: 'error',
+      error: 'Failed to aggregate responses due to an internal error.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      requestId: req.id
     });
+  } finally {
+    stream.close();
   }
 });
 
+// Cancel a running aggregation by the id it was started with
+app.delete('/api/aggregate/:requestId', aggregations.cancelHandler());
+
+// Drop every cached answer and synthesis - admin API keys only, rate limited
+// like an aggregation that calls no provider
+app.delete('/api/cache', rateLimiter.requireAdmin(), rateLimiter.limit(() => 0), async (req, res) => {
+  await responseCache.clear();
+  res.json({ cleared: true });
+});
+
 // LangChain-specific endpoints
 app.get('/api/models', (req, res) => {
   res.json({
     models: {
-      openai: 'gpt-3.5-turbo',
-      anthropic: 'claude-3-haiku-20240307',
-      google: 'gemini-1.5-flash (with gemini-pro fallback)',
-      synthesis: 'gpt-3.5-turbo'
+      ...Object.fromEntries(getProviders().map(provider => [provider.id, provider.defaultModel])),
+      synthesis: synthesisService.describeModels()[0]?.model || null
     },
+    // Synthesis models in the order they are tried
+    synthesisModels: synthesisService.describeModels(),
+    ...describeModelOptions(),
+    ...describeStrategies(DEFAULT_STRATEGY),
     framework: 'LangChain',
     features: [
       'Parallel model execution',
@@ -133,10 +416,16 @@ app.get('/api/models', (req, res) => {
   });
 });
 
+// Remaining rate limit and provider call quota for the caller
+app.get('/api/quota', rateLimiter.quotaHandler());
+
+// Prometheus metrics
+app.get('/api/metrics', metricsHandler());
+
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
-  res.status(500).json({ error: 'Internal server error' });
+  logger.error('Unhandled error', { error });
+  res.status(500).json({ error: 'Internal server error', requestId: req.id });
 });
 
 // 404 handler
@@ -145,23 +434,15 @@ app.use((req, res) => {
 });
 
 app.listen(PORT, () => {
-  console.log(`\n🚀 AI Aggregator Backend with LangChain running on http://localhost:${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
-  console.log(`Aggregation endpoint: POST http://localhost:${PORT}/api/aggregate`);
-  console.log(`Model info: GET http://localhost:${PORT}/api/models`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  
-  // Check for API keys
-  const apiKeys = {
-    'OpenAI': !!process.env.OPENAI_API_KEY,
-    'Anthropic': !!process.env.ANTHROPIC_API_KEY,
-    'Google': !!process.env.GOOGLE_AI_API_KEY
-  };
-  
-  console.log('\n📋 API Key Status:');
-  Object.entries(apiKeys).forEach(([service, hasKey]) => {
-    console.log(`  ${service}: ${hasKey ? '✅ Configured' : '❌ Missing (will use fallbacks)'}`);
+  logger.info('AI Aggregator Backend with LangChain started', {
+    url: `http://localhost:${PORT}`,
+    environment: process.env.NODE_ENV || 'development',
+    logLevel: logger.level,
+    // Providers without an API key answer with fallbacks
+    providers: Object.fromEntries(getProviders().map(provider => [
+      provider.id,
+      isConfigured(provider) ? 'configured' : 'mock'
+    ])),
+    framework: 'LangChain'
   });
-  console.log('\n🔗 Using LangChain for unified AI model management');
-  console.log('');
 });
\ No newline at end of file
@@ -0,0 +1,218 @@
+// backend/middleware/rateLimiter.js
+//
+// Per-client limits on the aggregation endpoints, each a token bucket:
+//   requests       - aggregation requests per minute (MAX_REQUESTS_PER_MINUTE)
+//   providerCalls  - provider calls per day, one per selected provider
+//                    (MAX_PROVIDER_CALLS_PER_DAY)
+// Clients are identified by the X-API-Key header when one is sent, otherwise
+// by IP address. API keys, with optional limits of their own, are configured
+// in RATE_LIMIT_API_KEYS as JSON:
+//   { "team-key": { "name": "team", "requestsPerMinute": 60, "providerCallsPerDay": 5000 } }
+// An X-API-Key that isn't configured is rejected, so clients can't mint
+// fresh buckets by sending random keys. A key with "admin": true may also
+// use the admin endpoints (see requireAdmin).
+const crypto = require('crypto');
+const TokenBucket = require('./tokenBucket');
+const { logger } = require('../services/logger');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TRACKED_CLIENTS = 10000;
+
+// Headers the browser may read from cross-origin responses
+const RATE_LIMIT_HEADERS = [
+  'Retry-After',
+  'X-RateLimit-Limit',
+  'X-RateLimit-Remaining',
+  'X-Quota-Limit',
+  'X-Quota-Remaining'
+];
+
+function parseApiKeys(json) {
+  if (!json) return new Map();
+  try {
+    const parsed = JSON.parse(json);
+    return new Map(Object.entries(parsed).map(([key, config]) => [key, config || {}]));
+  } catch (error) {
+    logger.warn('RATE_LIMIT_API_KEYS is not valid JSON - ignoring it', { message: error.message });
+    return new Map();
+  }
+}
+
+class RateLimiter {
+  constructor({ enabled = true, requestsPerMinute, providerCallsPerDay, apiKeys = new Map() }) {
+    this.enabled = enabled;
+    this.defaults = { requestsPerMinute, providerCallsPerDay };
+    this.apiKeys = apiKeys;
+    // Most recently used last, so the first entry is the one to evict
+    this.clients = new Map();
+  }
+
+  // { id, type, limits } for the request, or { error } for an unknown API key
+  identify(req) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      const config = this.apiKeys.get(apiKey);
+      if (!config) return { error: 'Unknown API key' };
+      const hash = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+      return {
+        id: `key:${hash}`,
+        type: 'apiKey',
+        name: config.name,
+        limits: {
+          requestsPerMinute: config.requestsPerMinute ?? this.defaults.requestsPerMinute,
+          providerCallsPerDay: config.providerCallsPerDay ?? this.defaults.providerCallsPerDay
+        }
+      };
+    }
+    return { id: `ip:${req.ip}`, type: 'ip', limits: this.defaults };
+  }
+
+  getBuckets({ id, limits }) {
+    let buckets = this.clients.get(id);
+    if (buckets) {
+      this.clients.delete(id);
+    } else {
+      buckets = {
+        requests: new TokenBucket(limits.requestsPerMinute, MINUTE_MS),
+        providerCalls: new TokenBucket(limits.providerCallsPerDay, DAY_MS)
+      };
+      if (this.clients.size >= MAX_TRACKED_CLIENTS) {
+        this.clients.delete(this.clients.keys().next().value);
+      }
+    }
+    this.clients.set(id, buckets);
+    return buckets;
+  }
+
+  setHeaders(res, { limits }, buckets) {
+    res.set('X-RateLimit-Limit', String(limits.requestsPerMinute));
+    res.set('X-RateLimit-Remaining', String(buckets.requests.remaining()));
+    res.set('X-Quota-Limit', String(limits.providerCallsPerDay));
+    res.set('X-Quota-Remaining', String(buckets.providerCalls.remaining()));
+  }
+
+  describe(client, buckets) {
+    return {
+      client: client.type,
+      name: client.name,
+      requests: {
+        limit: client.limits.requestsPerMinute,
+        remaining: buckets.requests.remaining(),
+        resetSeconds: Math.ceil(buckets.requests.timeUntilFull() / 1000)
+      },
+      providerCalls: {
+        limit: client.limits.providerCallsPerDay,
+        remaining: buckets.providerCalls.remaining(),
+        resetSeconds: Math.ceil(buckets.providerCalls.timeUntilFull() / 1000)
+      }
+    };
+  }
+
+  // Middleware consuming one request token plus cost(req) provider-call
+  // tokens, or answering 429 with Retry-After when either bucket is short.
+  // With `deferred` the provider-call tokens are only checked here: the
+  // route takes them by calling req.chargeProviderCalls() when it actually
+  // calls the providers, so answers served from the cache don't use quota.
+  limit(cost = () => 1, { deferred = false } = {}) {
+    return (req, res, next) => {
+      if (!this.enabled) {
+        if (deferred) req.chargeProviderCalls = () => {};
+        return next();
+      }
+
+      const client = this.identify(req);
+      if (client.error) {
+        return res.status(401).json({ error: client.error });
+      }
+
+      const buckets = this.getBuckets(client);
+      const providerCalls = cost(req);
+      const waits = {
+        requests: buckets.requests.waitTime(1),
+        providerCalls: buckets.providerCalls.waitTime(providerCalls)
+      };
+      this.setHeaders(res, client, buckets);
+
+      const limited = Object.keys(waits).find(name => waits[name] > 0);
+      if (limited) {
+        const waitMs = Math.max(waits.requests, waits.providerCalls);
+        const tooLarge = waitMs === Infinity;
+        if (!tooLarge) {
+          res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+        }
+        logger.warn('Rate limited', { client: client.id, limit: limited });
+        return res.status(429).json({
+          error: tooLarge
+            ? `This request needs ${providerCalls} provider calls, more than the daily quota of ${client.limits.providerCallsPerDay}`
+            : limited === 'requests'
+              ? 'Too many requests - please slow down'
+              : 'Daily provider call quota exhausted',
+          limit: limited,
+          retryAfterSeconds: tooLarge ? null : Math.ceil(waitMs / 1000),
+          quota: this.describe(client, buckets)
+        });
+      }
+
+      buckets.requests.take(1);
+      const charge = () => {
+        buckets.providerCalls.take(providerCalls);
+        if (!res.headersSent) this.setHeaders(res, client, buckets);
+      };
+      if (deferred) {
+        let charged = false;
+        req.chargeProviderCalls = () => {
+          if (!charged) charge();
+          charged = true;
+        };
+        this.setHeaders(res, client, buckets);
+      } else {
+        charge();
+      }
+      next();
+    };
+  }
+
+  // Middleware letting through only requests sending an admin API key. With
+  // no admin key configured the endpoint is closed to everyone. Applies even
+  // when rate limiting is disabled.
+  requireAdmin() {
+    return (req, res, next) => {
+      const apiKey = req.get('X-API-Key');
+      const config = apiKey && this.apiKeys.get(apiKey);
+      if (!config?.admin) {
+        logger.warn('Admin endpoint refused', { path: req.path, apiKey: apiKey ? (config ? 'not_admin' : 'unknown') : 'missing' });
+        return apiKey && config
+          ? res.status(403).json({ error: 'This API key may not use admin endpoints' })
+          : res.status(401).json({ error: apiKey ? 'Unknown API key' : 'An admin API key is required' });
+      }
+      next();
+    };
+  }
+
+  // GET handler reporting the caller's remaining quota without using any
+  quotaHandler() {
+    return (req, res) => {
+      if (!this.enabled) return res.json({ enabled: false });
+
+      const client = this.identify(req);
+      if (client.error) {
+        return res.status(401).json({ error: client.error });
+      }
+      const buckets = this.getBuckets(client);
+      this.setHeaders(res, client, buckets);
+      res.json({ enabled: true, ...this.describe(client, buckets) });
+    };
+  }
+}
+
+function createRateLimiter(env = process.env) {
+  return new RateLimiter({
+    enabled: env.RATE_LIMIT_ENABLED !== 'false',
+    requestsPerMinute: parseInt(env.MAX_REQUESTS_PER_MINUTE, 10) || 10,
+    providerCallsPerDay: parseInt(env.MAX_PROVIDER_CALLS_PER_DAY, 10) || 300,
+    apiKeys: parseApiKeys(env.RATE_LIMIT_API_KEYS)
+  });
+}
+
+module.exports = { RateLimiter, createRateLimiter, RATE_LIMIT_HEADERS };
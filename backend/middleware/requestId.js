@@ -0,0 +1,36 @@
+// backend/middleware/requestId.js
+//
+// Gives every request an id - the caller's X-Request-Id when it sends a
+// usable one, otherwise a new UUID - and returns it in the X-Request-Id
+// header. Everything logged while the request is handled carries the id as
+// `requestId`, and its completion is logged with status and duration.
+const crypto = require('crypto');
+const { logger, withLogContext } = require('../services/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w-]{1,100}$/;
+
+function requestId() {
+  return (req, res, next) => {
+    const requested = req.get(REQUEST_ID_HEADER);
+    const id = requested && REQUEST_ID_PATTERN.test(requested) ? requested : crypto.randomUUID();
+    req.id = id;
+    res.set(REQUEST_ID_HEADER, id);
+
+    // Response events fire outside the request's log context
+    const log = logger.child({ requestId: id });
+    const startTime = Date.now();
+    res.on('close', () => {
+      const fields = { method: req.method, path: req.originalUrl.split('?')[0], status: res.statusCode, durationMs: Date.now() - startTime };
+      if (res.writableFinished) {
+        log.info('Request completed', fields);
+      } else {
+        log.info('Request closed by client', fields);
+      }
+    });
+
+    withLogContext({ requestId: id }, next);
+  };
+}
+
+module.exports = { requestId, REQUEST_ID_HEADER };
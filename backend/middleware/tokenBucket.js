@@ -0,0 +1,46 @@
+// backend/middleware/tokenBucket.js
+//
+// Classic token bucket: holds up to `capacity` tokens and refills
+// continuously at `capacity` per `intervalMs`. Taking tokens never blocks -
+// callers get told how long to wait instead.
+class TokenBucket {
+  constructor(capacity, intervalMs, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerMs = capacity / intervalMs;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  refill(now = Date.now()) {
+    const elapsed = Math.max(0, now - this.updatedAt);
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  remaining(now = Date.now()) {
+    this.refill(now);
+    return Math.floor(this.tokens);
+  }
+
+  // Milliseconds until `count` tokens are available (0 if they are now,
+  // Infinity if the bucket can never hold that many)
+  waitTime(count, now = Date.now()) {
+    if (count > this.capacity) return Infinity;
+    this.refill(now);
+    if (this.tokens >= count) return 0;
+    return Math.ceil((count - this.tokens) / this.refillPerMs);
+  }
+
+  // Milliseconds until the bucket is full again
+  timeUntilFull(now = Date.now()) {
+    this.refill(now);
+    return Math.ceil((this.capacity - this.tokens) / this.refillPerMs);
+  }
+
+  take(count, now = Date.now()) {
+    this.refill(now);
+    this.tokens -= count;
+  }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,41 @@
+// backend/providers/anthropic.js
+const { ChatAnthropic } = require('@langchain/anthropic');
+const { getAnthropicResponse, probeAnthropic } = require('../services/anthropicService');
+
+module.exports = {
+  id: 'anthropic',
+  displayName: 'Anthropic',
+  apiKeyEnv: ['ANTHROPIC_API_KEY'],
+  defaultModel: 'claude-3-haiku-20240307',
+  models: ['claude-3-haiku-20240307', 'claude-3-5-haiku-20241022', 'claude-3-5-sonnet-20241022'],
+  // USD per million input/output tokens
+  pricing: {
+    'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+    'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  },
+
+  createModel({ apiKey, model = 'claude-3-haiku-20240307', temperature = 0.7, maxTokens = 400, maxRetries }) {
+    return new ChatAnthropic({
+      modelName: model,
+      temperature,
+      maxTokens,
+      maxRetries,
+      anthropicApiKey: apiKey,
+    });
+  },
+
+  classifyError(error) {
+    if (error.message.includes('credit balance')) return 'quota_exceeded';
+    if (error.message.includes('Invalid API Key')) return 'auth_error';
+    return 'general_error';
+  },
+
+  mockResponse: 'Anthropic API key not configured. This is a mock response. To use real Claude responses, please add your API key to the .env file.',
+
+  // Direct REST implementation used by the original server
+  directQuery: getAnthropicResponse,
+
+  // Cheap call used by the readiness check
+  probe: probeAnthropic,
+};
@@ -0,0 +1,43 @@
+// backend/providers/google.js
+const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+const { getGoogleAIResponse, probeGoogleAI } = require('../services/googleAIService');
+
+module.exports = {
+  id: 'google',
+  displayName: 'Google',
+  // The LangChain server historically read GOOGLE_AI_API_KEY, the original
+  // server GOOGLE_API_KEY - either one works
+  apiKeyEnv: ['GOOGLE_AI_API_KEY', 'GOOGLE_API_KEY'],
+  defaultModel: 'gemini-1.5-flash',
+  models: ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-2.0-flash'],
+  // USD per million input/output tokens
+  pricing: {
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  },
+
+  createModel({ apiKey, model = 'gemini-1.5-flash', temperature = 0.7, maxTokens = 400, maxRetries }) {
+    return new ChatGoogleGenerativeAI({
+      model,
+      temperature,
+      maxOutputTokens: maxTokens,
+      maxRetries,
+      apiKey,
+    });
+  },
+
+  classifyError(error) {
+    if (error.message.includes('API key not valid')) return 'auth_error';
+    if (/\[404 Not Found\]/.test(error.message)) return 'model_not_found';
+    return 'general_error';
+  },
+
+  mockResponse: 'Google AI API key not configured. This is a mock response. To use real Gemini responses, please add your API key to the .env file.',
+
+  // Direct REST implementation used by the original server
+  directQuery: getGoogleAIResponse,
+
+  // Cheap call used by the readiness check
+  probe: probeGoogleAI,
+};
@@ -0,0 +1,94 @@
+// backend/providers/index.js
+//
+// Provider registry. Each provider module declares:
+//   id                    - key used in requests and responses ('openai')
+//   displayName           - human readable name ('OpenAI')
+//   apiKeyEnv             - environment variables checked for an API key, in order
+//   requiresApiKey        - optional, false for servers that accept anonymous calls
+//   defaultModel          - model used when a request doesn't pick one
+//   models                - allowlist of models a request may pick (includes defaultModel)
+//   pricing               - optional, { [model]: { input, output } } in USD per million tokens
+//   resilience            - optional defaults for services/resilience.js
+//                           ({ timeoutMs, maxRetries, retryBaseDelayMs, failureThreshold, cooldownMs })
+//   createModel({ apiKey, model, temperature, maxTokens, maxRetries })  - returns a LangChain chat model
+//   classifyError(error)  - maps a provider error to a reason code from services/providerResult
+//                           ('quota_exceeded', 'auth_error', ...), or 'general_error' if unrecognised
+//   mockResponse          - canned answer shown when the provider has no API key
+//   directQuery(prompt, history, { model, temperature, maxTokens, signal }) - optional, direct REST call used
+//                           by server.js; resolves to a provider result (see services/providerResult) and
+//                           should abort its request when `signal` fires
+//   probe({ apiKey, signal }) - optional, cheap call (no tokens) that rejects unless the provider is
+//                           reachable and accepts the key; used by /api/health/ready
+//
+// Adding a provider means writing one such module and registering it below
+// (or calling registerProvider at startup).
+
+const { loadOpenAICompatibleProviders } = require('./openaiCompatible');
+const { logger } = require('../services/logger');
+
+const REQUIRED_FIELDS = ['id', 'displayName', 'apiKeyEnv', 'defaultModel', 'models', 'createModel', 'classifyError', 'mockResponse'];
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  const missing = REQUIRED_FIELDS.filter(field => provider[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Provider "${provider.id || 'unknown'}" is missing: ${missing.join(', ')}`);
+  }
+  if (providers.has(provider.id)) {
+    throw new Error(`Provider "${provider.id}" is already registered`);
+  }
+  providers.set(provider.id, provider);
+  return provider;
+}
+
+function getProviders() {
+  return Array.from(providers.values());
+}
+
+function getProvider(id) {
+  return providers.get(id);
+}
+
+function getProviderIds() {
+  return Array.from(providers.keys());
+}
+
+function getApiKey(provider) {
+  const envName = provider.apiKeyEnv.find(name => process.env[name]);
+  return envName ? process.env[envName] : null;
+}
+
+// A provider takes part with real calls when it has a key, or needs none
+function isConfigured(provider) {
+  return provider.requiresApiKey === false || !!getApiKey(provider);
+}
+
+function getDisplayName(id) {
+  return providers.get(id)?.displayName || id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+// Built-in providers
+registerProvider(require('./openai'));
+registerProvider(require('./anthropic'));
+registerProvider(require('./google'));
+
+// OpenAI-compatible servers (Ollama, vLLM, ...) configured through the
+// environment; one reusing a registered id is left out
+loadOpenAICompatibleProviders().forEach(provider => {
+  try {
+    registerProvider(provider);
+  } catch (error) {
+    logger.warn('Skipping an OpenAI-compatible provider', { provider: provider.id, message: error.message });
+  }
+});
+
+module.exports = {
+  registerProvider,
+  getProviders,
+  getProvider,
+  getProviderIds,
+  getApiKey,
+  isConfigured,
+  getDisplayName
+};
@@ -0,0 +1,42 @@
+// backend/providers/openai.js
+const { ChatOpenAI } = require('@langchain/openai');
+const { getOpenAIResponse, probeOpenAI } = require('../services/openAIService');
+
+module.exports = {
+  id: 'openai',
+  displayName: 'OpenAI',
+  apiKeyEnv: ['OPENAI_API_KEY'],
+  defaultModel: 'gpt-3.5-turbo',
+  models: ['gpt-3.5-turbo', 'gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini'],
+  // USD per million input/output tokens
+  pricing: {
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  },
+
+  createModel({ apiKey, model = 'gpt-3.5-turbo', temperature = 0.7, maxTokens = 400, maxRetries }) {
+    return new ChatOpenAI({
+      modelName: model,
+      temperature,
+      maxTokens,
+      maxRetries,
+      openAIApiKey: apiKey,
+    });
+  },
+
+  classifyError(error) {
+    if (error.message.includes('insufficient_quota')) return 'quota_exceeded';
+    if (error.message.includes('Incorrect API key')) return 'auth_error';
+    return 'general_error';
+  },
+
+  mockResponse: 'OpenAI API key not configured. This is a mock response. To use real OpenAI responses, please add your API key to the .env file.',
+
+  // Direct REST implementation used by the original server
+  directQuery: getOpenAIResponse,
+
+  // Cheap call used by the readiness check
+  probe: probeOpenAI,
+};
@@ -0,0 +1,115 @@
+// backend/providers/openaiCompatible.js
+//
+// Providers for self-hosted models behind an OpenAI-compatible HTTP API,
+// such as Ollama (http://localhost:11434/v1) or a vLLM gateway.
+//
+// Configure one server with LOCAL_MODEL_BASE_URL / LOCAL_MODEL_NAME
+// (optionally LOCAL_MODEL_API_KEY, LOCAL_MODEL_ID, LOCAL_MODEL_DISPLAY_NAME),
+// or several with LOCAL_PROVIDERS, a JSON array of
+//   { "id", "displayName", "baseUrl", "model", "models", "apiKey" | "apiKeyEnv", "pricing" }
+// where "models" optionally lists further models the server may be asked for
+// and "pricing" prices them like the built-in providers (see services/usage.js)
+const { ChatOpenAI } = require('@langchain/openai');
+const { getOpenAICompatibleResponse, probeOpenAICompatible } = require('../services/openAICompatibleService');
+const { okResult, failureResult, classifyError } = require('../services/providerResult');
+const { logger } = require('../services/logger');
+
+// ChatOpenAI refuses to start without a key; local servers ignore it
+const PLACEHOLDER_API_KEY = 'not-needed';
+
+function createOpenAICompatibleProvider(config) {
+  if (!config.id || !config.baseUrl || !config.model) {
+    throw new Error('OpenAI-compatible providers need an id, baseUrl and model');
+  }
+
+  const displayName = config.displayName || config.id;
+  const apiKeyEnv = config.apiKeyEnv ? [config.apiKeyEnv] : [];
+  const getKey = () => config.apiKey || apiKeyEnv.map(name => process.env[name]).find(Boolean) || null;
+
+  return {
+    id: config.id,
+    displayName,
+    apiKeyEnv,
+    requiresApiKey: false,
+    defaultModel: config.model,
+    models: [config.model, ...(config.models || []).filter(model => model !== config.model)],
+    baseUrl: config.baseUrl,
+    pricing: config.pricing,
+
+    createModel({ model = config.model, temperature = 0.7, maxTokens = 400, maxRetries = 1 } = {}) {
+      return new ChatOpenAI({
+        model,
+        temperature,
+        maxTokens,
+        apiKey: getKey() || PLACEHOLDER_API_KEY,
+        // A local server that is down will stay down - don't back off for minutes
+        maxRetries,
+        configuration: { baseURL: config.baseUrl },
+      });
+    },
+
+    classifyError(error) {
+      if (/model .*not found/i.test(error.response?.data?.error?.message || error.message)) return 'model_not_found';
+      return 'general_error';
+    },
+
+    // Never used - these providers don't need a key - but part of the contract
+    mockResponse: `${displayName} is not configured. This is a mock response.`,
+
+    // Direct REST implementation used by the original server
+    async directQuery(prompt, history = [], options = {}) {
+      try {
+        const { content, usage } = await getOpenAICompatibleResponse({ ...config, displayName, apiKey: getKey() }, prompt, history, options);
+        return okResult(content, usage);
+      } catch (error) {
+        logger.warn('Provider call failed', { provider: config.id, status: error.response?.status, message: error.message });
+        const reason = classifyError(error, this);
+        const message = reason === 'connection_error'
+          ? `${displayName} server at ${config.baseUrl} is not reachable. Start the local model server to get real answers.`
+          : error.response?.data?.error?.message || error.message;
+        return failureResult(reason, message);
+      }
+    },
+
+    // Cheap call used by the readiness check
+    probe({ signal } = {}) {
+      return probeOpenAICompatible({ ...config, apiKey: getKey() }, { signal });
+    },
+  };
+}
+
+function loadOpenAICompatibleProviders(env = process.env) {
+  const configs = [];
+
+  if (env.LOCAL_PROVIDERS) {
+    try {
+      const parsed = JSON.parse(env.LOCAL_PROVIDERS);
+      configs.push(...(Array.isArray(parsed) ? parsed : [parsed]));
+    } catch (error) {
+      logger.warn('LOCAL_PROVIDERS is not valid JSON - ignoring it', { message: error.message });
+    }
+  }
+
+  if (env.LOCAL_MODEL_BASE_URL && env.LOCAL_MODEL_NAME) {
+    configs.push({
+      id: env.LOCAL_MODEL_ID || 'local',
+      displayName: env.LOCAL_MODEL_DISPLAY_NAME || `Local (${env.LOCAL_MODEL_NAME})`,
+      baseUrl: env.LOCAL_MODEL_BASE_URL,
+      model: env.LOCAL_MODEL_NAME,
+      apiKey: env.LOCAL_MODEL_API_KEY,
+    });
+  }
+
+  // One bad entry shouldn't keep the server, or the other providers, from
+  // starting - like invalid JSON, it is reported and left out
+  return configs.flatMap(config => {
+    try {
+      return [createOpenAICompatibleProvider(config || {})];
+    } catch (error) {
+      logger.warn('Skipping an OpenAI-compatible provider', { provider: config?.id, message: error.message });
+      return [];
+    }
+  });
+}
+
+module.exports = { createOpenAICompatibleProvider, loadOpenAICompatibleProviders };
@@ -0,0 +1,119 @@
+// backend/routes/conversations.js
+//
+// REST API for saved conversations, shared by both servers:
+//   GET    /api/conversations               - summaries, most recently updated first
+//   POST   /api/conversations               - create { title? }
+//   POST   /api/conversations/import        - one-time import of browser-stored conversations
+//   GET    /api/conversations/:id           - one conversation with its messages
+//   PATCH  /api/conversations/:id           - rename { title }
+//   DELETE /api/conversations/:id
+//   POST   /api/conversations/:id/messages  - append { messages: [...] }
+const express = require('express');
+const { z } = require('zod');
+const { logger } = require('../services/logger');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_IMPORT_CONVERSATIONS = 500;
+
+// User messages carry the prompt text, AI messages the full aggregate response
+const messageSchema = z.object({
+  type: z.enum(['user', 'ai']),
+  content: z.union([z.string(), z.record(z.any())]),
+  timestamp: z.string().optional(),
+}).passthrough();
+
+const titleSchema = z.string().trim().min(1, 'Title cannot be empty').max(MAX_TITLE_LENGTH);
+
+const createSchema = z.object({
+  title: titleSchema.optional(),
+});
+
+const renameSchema = z.object({
+  title: titleSchema,
+});
+
+const appendSchema = z.object({
+  messages: z.array(messageSchema).min(1, 'At least one message is required'),
+});
+
+const importSchema = z.object({
+  conversations: z.array(z.object({
+    id: z.string().min(1),
+    title: z.string().max(MAX_TITLE_LENGTH).optional(),
+    messages: z.array(messageSchema).default([]),
+    createdAt: z.string().optional(),
+    updatedAt: z.string().optional(),
+  })).max(MAX_IMPORT_CONVERSATIONS),
+});
+
+function formatZodError(error) {
+  return error.issues
+    .map(issue => `${issue.path.join('.') || 'request'}: ${issue.message}`)
+    .join('; ');
+}
+
+function createConversationRouter(store) {
+  const router = express.Router();
+
+  // Parses req.body with the schema; sends a 400 and returns null when invalid
+  const parseBody = (schema, req, res) => {
+    const parsed = schema.safeParse(req.body || {});
+    if (!parsed.success) {
+      res.status(400).json({ error: formatZodError(parsed.error) });
+      return null;
+    }
+    return parsed.data;
+  };
+
+  const notFound = (res) => res.status(404).json({ error: 'Conversation not found' });
+
+  router.get('/', async (req, res) => {
+    res.json({ conversations: await store.list() });
+  });
+
+  router.post('/', async (req, res) => {
+    const body = parseBody(createSchema, req, res);
+    if (!body) return;
+    res.status(201).json(await store.create(body));
+  });
+
+  router.post('/import', async (req, res) => {
+    const body = parseBody(importSchema, req, res);
+    if (!body) return;
+    const result = await store.importConversations(body.conversations);
+    logger.info('Imported conversations', { imported: result.imported, skipped: result.skipped });
+    res.json(result);
+  });
+
+  router.get('/:id', async (req, res) => {
+    const conversation = await store.get(req.params.id);
+    if (!conversation) return notFound(res);
+    res.json(conversation);
+  });
+
+  router.patch('/:id', async (req, res) => {
+    const body = parseBody(renameSchema, req, res);
+    if (!body) return;
+    const conversation = await store.rename(req.params.id, body.title);
+    if (!conversation) return notFound(res);
+    res.json(conversation);
+  });
+
+  router.delete('/:id', async (req, res) => {
+    const removed = await store.remove(req.params.id);
+    if (!removed) return notFound(res);
+    res.status(204).end();
+  });
+
+  router.post('/:id/messages', async (req, res) => {
+    const body = parseBody(appendSchema, req, res);
+    if (!body) return;
+    const conversation = await store.appendMessages(req.params.id, body.messages);
+    if (!conversation) return notFound(res);
+    res.json(conversation);
+  });
+
+  return router;
+}
+
+module.exports = { createConversationRouter };
@@ -0,0 +1,75 @@
+// backend/scripts/localModelStub.js
+//
+// A tiny OpenAI-compatible chat completions server for offline development
+// and testing. Point a local provider at it:
+//
+//   LOCAL_MODEL_BASE_URL=http://localhost:8089/v1
+//   LOCAL_MODEL_NAME=stub-model
+//
+// It answers deterministically from the last user message and supports both
+// regular and streamed (`stream: true`) completions.
+const express = require('express');
+
+const PORT = process.env.LOCAL_STUB_PORT || 8089;
+const MODEL = process.env.LOCAL_STUB_MODEL || 'stub-model';
+
+const app = express();
+app.use(express.json());
+
+function buildAnswer(messages = []) {
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  const question = typeof lastUser?.content === 'string' ? lastUser.content : '';
+  const turns = messages.filter(message => message.role === 'user').length;
+
+  return `This is a stub answer from a local model. You asked: "${question.substring(0, 200)}". ` +
+    `The conversation so far has ${turns} user ${turns === 1 ? 'turn' : 'turns'}. ` +
+    'A real local model would answer the question here.';
+}
+
+function countTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+app.get('/v1/models', (req, res) => {
+  res.json({ object: 'list', data: [{ id: MODEL, object: 'model', owned_by: 'local-stub' }] });
+});
+
+app.post('/v1/chat/completions', (req, res) => {
+  const { messages = [], stream = false } = req.body;
+  const model = req.body.model || MODEL;
+  const answer = buildAnswer(messages);
+  const id = `chatcmpl-stub-${Date.now()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const usage = {
+    prompt_tokens: countTokens(messages.map(message => message.content || '').join(' ')),
+    completion_tokens: countTokens(answer),
+  };
+  usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+  if (!stream) {
+    return res.json({
+      id,
+      object: 'chat.completion',
+      created,
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' }],
+      usage
+    });
+  }
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+  const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+  const words = answer.split(/(?<= )/);
+  send({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }] });
+  words.forEach(word => {
+    send({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: word }, finish_reason: null }] });
+  });
+  send({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage });
+  res.write('data: [DONE]\n\n');
+  res.end();
+});
+
+app.listen(PORT, () => {
+  console.log(`Local model stub (OpenAI-compatible) on http://localhost:${PORT}/v1 serving "${MODEL}"`);
+});
@@ -5,130 +5,355 @@ const cors = require('cors');
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Import AI service functions
-const { getOpenAIResponse } = require('./services/openAIService');
-const { getAnthropicResponse } = require('./services/anthropicService');
-const { getGoogleAIResponse } = require('./services/googleAIService');
-const { synthesizeResponses } = require('./services/synthesisService');
+// Import AI providers and services
+const { getProviders, isConfigured } = require('./providers');
+const Synthesizer = require('./services/synthesis/synthesizer');
+const { resolveStrategy, describeStrategies } = require('./services/synthesis');
+const { openEventStream } = require('./services/eventStream');
+const { prepareHistory } = require('./services/conversationHistory');
+const { resolveModelSelection, describeSelections, describeModelOptions } = require('./services/modelSelection');
+const { buildProviderResult, getResponseTexts, summarizeUsage, createAggregateResponse } = require('./services/aggregateResponse');
+const { failureResult, classifyCommonError, isGenuine } = require('./services/providerResult');
+const { createResilience } = require('./services/resilience');
+const { createReadiness } = require('./services/providerReadiness');
+const ConversationStore = require('./services/conversationStore');
+const { createConversationRouter } = require('./routes/conversations');
+const { createRateLimiter, RATE_LIMIT_HEADERS } = require('./middleware/rateLimiter');
+const { requestId, REQUEST_ID_HEADER } = require('./middleware/requestId');
+const { logger } = require('./services/logger');
+const { recordProviderResult, countRequests, metricsHandler } = require('./services/metrics');
+const {
+  AggregationRegistry,
+  isCancellation,
+  AGGREGATION_ID_HEADER,
+  CANCELLED_STATUS
+} = require('./services/aggregationRegistry');
 
-app.use(cors());
-app.use(express.json());
+// Without a synthesis model, requests that don't pick a strategy get the
+// rule-based synthesis and model strategies answer with their fallbacks
+const DEFAULT_STRATEGY = 'rules';
+
+const conversationStore = new ConversationStore();
+const synthesizer = new Synthesizer({ defaultStrategy: DEFAULT_STRATEGY });
+const aggregations = new AggregationRegistry();
+const resilience = createResilience();
+const readiness = createReadiness(resilience);
+const rateLimiter = createRateLimiter();
+// Each selected provider counts as one call against the daily quota
+const limitAggregation = rateLimiter.limit(req => req.aggregateRequest.selections.length);
+
+app.use(cors({ exposedHeaders: [...RATE_LIMIT_HEADERS, AGGREGATION_ID_HEADER, REQUEST_ID_HEADER] }));
+app.use(requestId());
+app.use(countRequests());
+// Saved AI messages carry full aggregate responses, so allow larger bodies
+app.use(express.json({ limit: '5mb' }));
+app.use('/api/conversations', createConversationRouter(conversationStore));
 
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'Backend is healthy', 
     message: 'AI Aggregator backend is running!',
     timestamp: new Date(),
-    services: ['OpenAI', 'Anthropic', 'Google AI']
+    services: getDirectProviders().map(provider => provider.displayName),
+    circuitBreakers: resilience.describe(getDirectProviders())
   });
 });
 
-// --- Enhanced Aggregation Route ---
-app.post('/api/aggregate', async (req, res) => {
-  const { prompt } = req.body;
+// Per-provider readiness: key, recent probe, error rate and circuit state
+app.get('/api/health/ready', readiness.handler(getDirectProviders));
 
+function validatePrompt(prompt) {
   if (!prompt || prompt.trim().length === 0) {
-    return res.status(400).json({ error: 'Prompt is required and cannot be empty' });
+    return 'Prompt is required and cannot be empty';
   }
 
   // Validate prompt length
   if (prompt.length > 2000) {
-    return res.status(400).json({ error: 'Prompt is too long. Maximum 2000 characters allowed.' });
+    return 'Prompt is too long. Maximum 2000 characters allowed.';
+  }
+
+  return null;
+}
+
+// Validate the request body; returns { error } or the parsed request
+function parseAggregateRequest(body) {
+  const { prompt } = body;
+
+  const validationError = validatePrompt(prompt);
+  if (validationError) {
+    return { error: validationError };
+  }
+
+  const { selections, error } = resolveModelSelection(body, getDirectProviders());
+  if (error) {
+    return { error };
+  }
+
+  const { strategy, error: strategyError } = resolveStrategy(body.strategy, DEFAULT_STRATEGY);
+  if (strategyError) {
+    return { error: strategyError };
+  }
+
+  return {
+    prompt,
+    history: prepareHistory(body.history),
+    selections,
+    strategy,
+    requestId: body.requestId
+  };
+}
+
+// Middleware answering 400 to an invalid aggregation request before the rate
+// limiter charges for it; routes find the parsed request in req.aggregateRequest
+function validateAggregateRequest(req, res, next) {
+  const request = parseAggregateRequest(req.body);
+  if (request.error) {
+    return res.status(400).json({ error: request.error });
+  }
+  req.aggregateRequest = request;
+  next();
+}
+
+// Time a provider call and report provider-started / provider-finished events
+// around it. Resolves with the provider result plus latencyMs; a call that
+// throws becomes an error result.
+function withProgress(provider, call, onEvent) {
+  const startTime = Date.now();
+  onEvent({ type: 'provider-started', provider });
+  return call
+    .catch(error => failureResult(classifyCommonError(error), error.message))
+    .then(result => {
+      const latencyMs = Date.now() - startTime;
+      onEvent({
+        type: 'provider-finished',
+        provider,
+        status: result.status,
+        reason: result.reason,
+        response: result.text,
+        message: result.message,
+        latencyMs,
+        attempts: result.attempts
+      });
+      return { ...result, latencyMs };
+    });
+}
+
+// This server calls provider REST APIs directly, so only registered
+// providers that implement directQuery take part
+function getDirectProviders() {
+  return getProviders().filter(provider => typeof provider.directQuery === 'function');
+}
+
+// Returns { [providerId]: result } - provider results (see
+// services/providerResult.js) with latencyMs and attempts. Timeouts, retries
+// and circuit breakers are applied per provider (services/resilience.js);
+// every call is aborted when `signal` (the whole aggregation) is.
+async function queryProviders(prompt, history, selections, { onEvent = () => {}, signal = new AbortController().signal } = {}) {
+  const results = await Promise.all(selections.map(({ provider, model, temperature, maxTokens }) => {
+    const call = resilience.execute(provider, (callSignal) =>
+      provider.directQuery(prompt, history, { model, temperature, maxTokens, signal: callSignal }), {
+      signal,
+      onRetry: ({ attempt, reason }) => onEvent({ type: 'provider-retry', provider: provider.id, attempt, reason })
+    });
+    return withProgress(provider.id, call, onEvent);
+  }));
+
+  // A cancelled aggregation says nothing about the providers
+  if (!signal.aborted) {
+    selections.forEach(({ provider }, index) => recordProviderResult(provider.id, results[index]));
   }
 
+  return Object.fromEntries(selections.map(({ provider }, index) => [provider.id, results[index]]));
+}
+
+function buildAggregateResponse({ prompt, history, selections }, results, synthesis, processingTime) {
+  const responses = Object.fromEntries(selections.map(selection => [
+    selection.provider.id,
+    buildProviderResult(selection, results[selection.provider.id])
+  ]));
+  return createAggregateResponse({
+    prompt,
+    synthesis,
+    responses,
+    metadata: {
+      backend: 'direct',
+      processingTimeMs: processingTime,
+      timestamp: new Date().toISOString(),
+      totalSources: selections.length,
+      successfulSources: synthesis.sourcesUsed.length,
+      historyMessages: history.length,
+      models: describeSelections(selections),
+      usage: summarizeUsage(responses, synthesis),
+      circuitBreakers: resilience.describe(selections.map(selection => selection.provider))
+    }
+  });
+}
+
+function logAggregationStart(aggregationId, { prompt, history, selections, strategy }, fields = {}) {
+  logger.info('Aggregation started', {
+    aggregationId,
+    ...logger.promptFields(prompt),
+    historyMessages: history.length,
+    providers: selections.map(selection => selection.provider.id),
+    strategy,
+    ...fields
+  });
+}
+
+function logProviderResults(results) {
+  Object.entries(results).forEach(([provider, result]) => {
+    logger.info('Provider finished', {
+      provider,
+      status: result.status,
+      reason: result.reason,
+      message: result.message,
+      responseLength: isGenuine(result) ? result.text.length : 0,
+      latencyMs: result.latencyMs,
+      attempts: result.attempts
+    });
+  });
+}
+
+function logSynthesis(synthesis, processingTimeMs) {
+  logger.info('Synthesis completed', {
+    confidence: synthesis.confidence,
+    confidenceScore: synthesis.confidenceScore,
+    approach: synthesis.approach,
+    fallback: synthesis.details.fallback,
+    sourcesUsed: synthesis.sourcesUsed,
+    processingTimeMs
+  });
+}
+
+// --- Enhanced Aggregation Route ---
+app.post('/api/aggregate', validateAggregateRequest, limitAggregation, async (req, res) => {
+  const request = req.aggregateRequest;
+  const { prompt, history, selections, strategy } = request;
+  const aggregation = aggregations.start(request.requestId, res);
+
   try {
-    console.log(`\n=== Aggregating responses for prompt ===`);
-    console.log(`Prompt: "${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}"`);
-    console.log(`Prompt length: ${prompt.length} characters`);
+    logAggregationStart(aggregation.id, request);
 
     const startTime = Date.now();
 
-    // Call AI services in parallel with timeout
-    const timeoutMs = 15000; // 15 second timeout
-    const results = await Promise.allSettled([
-      Promise.race([
-        getOpenAIResponse(prompt),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('OpenAI timeout')), timeoutMs))
-      ]),
-      Promise.race([
-        getAnthropicResponse(prompt),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Anthropic timeout')), timeoutMs))
-      ]),
-      Promise.race([
-        getGoogleAIResponse(prompt),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Google AI timeout')), timeoutMs))
-      ])
-    ]);
+    const results = await queryProviders(prompt, history, selections, { signal: aggregation.signal });
+    aggregation.signal.throwIfAborted();
 
     const processingTime = Date.now() - startTime;
 
-    // Process individual responses
-    const individualResponses = {
-      openai: results[0].status === 'fulfilled' ? results[0].value : { 
-        error: true, 
-        message: results[0].reason?.message || 'OpenAI call failed',
-        source: 'OpenAI'
-      },
-      anthropic: results[1].status === 'fulfilled' ? results[1].value : { 
-        error: true, 
-        message: results[1].reason?.message || 'Anthropic call failed',
-        source: 'Anthropic'
-      },
-      google: results[2].status === 'fulfilled' ? results[2].value : { 
-        error: true, 
-        message: results[2].reason?.message || 'Google AI call failed',
-        source: 'Google'
-      }
-    };
-
-    // Log results
-    console.log('\n=== Individual Response Status ===');
-    Object.entries(individualResponses).forEach(([service, response]) => {
-      if (response.error) {
-        console.log(`${service}: ERROR - ${response.message}`);
-      } else {
-        console.log(`${service}: SUCCESS - ${typeof response === 'string' ? response.length : 'Unknown'} characters`);
-      }
-    });
+    logProviderResults(results);
 
     // Generate synthesis
-    const synthesis = synthesizeResponses(individualResponses);
-
-    console.log(`\n=== Synthesis Complete ===`);
-    console.log(`Confidence: ${synthesis.confidence} (${synthesis.confidenceScore}%)`);
-    console.log(`Approach: ${synthesis.approach}`);
-    console.log(`Sources used: ${synthesis.sourcesUsed.join(', ')}`);
-    console.log(`Total processing time: ${processingTime}ms`);
+    const synthesis = await synthesizer.synthesize({
+      strategy,
+      query: prompt,
+      responses: getResponseTexts(results),
+      history,
+      signal: aggregation.signal
+    });
+    logSynthesis(synthesis, processingTime);
 
     // Prepare response
-    const response = {
-      prompt: prompt,
-      synthesis: synthesis,
-      individualResponses: individualResponses,
-      metadata: {
-        processingTimeMs: processingTime,
-        timestamp: new Date().toISOString(),
-        totalSources: Object.keys(individualResponses).length,
-        successfulSources: synthesis.sourcesUsed.length
-      }
-    };
+    const response = buildAggregateResponse(request, results, synthesis, processingTime);
 
     res.json(response);
 
   } catch (error) {
-    console.error('\n=== Error in /api/aggregate route ===');
-    console.error('Error details:', error);
+    if (isCancellation(error, aggregation.signal)) {
+      logger.info('Aggregation stopped', { aggregationId: aggregation.id, reason: aggregation.signal.reason?.message });
+      if (!res.headersSent) {
+        res.status(CANCELLED_STATUS).json({ error: 'Aggregation cancelled', requestId: aggregation.id });
+      }
+      return;
+    }
+    logger.error('Aggregation failed', { aggregationId: aggregation.id, error });
     res.status(500).json({ 
       error: 'Failed to aggregate responses due to an internal error.',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      requestId: req.id
     });
   }
 });
 
+// --- Streaming Aggregation Route (Server-Sent Events) ---
+// The direct API services are not token-streamed, so each provider reports
+// started/finished; the synthesis arrives as a single delta.
+app.post('/api/aggregate/stream', validateAggregateRequest, limitAggregation, async (req, res) => {
+  const request = req.aggregateRequest;
+  const { prompt, history, selections, strategy } = request;
+  const aggregation = aggregations.start(request.requestId, res);
+
+  const stream = openEventStream(res);
+
+  try {
+    logAggregationStart(aggregation.id, request, { streaming: true });
+
+    const startTime = Date.now();
+
+    const results = await queryProviders(prompt, history, selections, {
+      onEvent: (event) => stream.send(event.type, event),
+      signal: aggregation.signal
+    });
+    aggregation.signal.throwIfAborted();
+    logProviderResults(results);
+
+    stream.send('synthesis-started', { type: 'synthesis-started' });
+    const synthesis = await synthesizer.synthesize({
+      strategy,
+      query: prompt,
+      responses: getResponseTexts(results),
+      history,
+      signal: aggregation.signal,
+      onDelta: delta => stream.send('synthesis-delta', { type: 'synthesis-delta', delta })
+    });
+
+    const processingTime = Date.now() - startTime;
+    logSynthesis(synthesis, processingTime);
+
+    stream.send('complete', {
+      type: 'complete',
+      result: buildAggregateResponse(request, results, synthesis, processingTime)
+    });
+  } catch (error) {
+    if (isCancellation(error, aggregation.signal)) {
+      logger.info('Aggregation stopped', { aggregationId: aggregation.id, reason: aggregation.signal.reason?.message });
+      stream.send('cancelled', { type: 'cancelled', requestId: aggregation.id });
+      return;
+    }
+    logger.error('Aggregation failed', { aggregationId: aggregation.id, error });
+    stream.send('error', {
+      type: 'error',
+      error: 'Failed to aggregate responses due to an internal error.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      requestId: req.id
+    });
+  } finally {
+    stream.close();
+  }
+});
+
+// Models, generation parameters and synthesis strategies a request may
+// choose from
+app.get('/api/models', (req, res) => {
+  res.json({
+    ...describeModelOptions(getDirectProviders()),
+    ...describeStrategies(DEFAULT_STRATEGY)
+  });
+});
+
+// Cancel a running aggregation by the id it was started with
+app.delete('/api/aggregate/:requestId', aggregations.cancelHandler());
+
+// Remaining rate limit and provider call quota for the caller
+app.get('/api/quota', rateLimiter.quotaHandler());
+
+// Prometheus metrics
+app.get('/api/metrics', metricsHandler());
+
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
-  res.status(500).json({ error: 'Internal server error' });
+  logger.error('Unhandled error', { error });
+  res.status(500).json({ error: 'Internal server error', requestId: req.id });
 });
 
 // 404 handler
@@ -137,21 +362,14 @@ app.use((req, res) => {
 });
 
 app.listen(PORT, () => {
-  console.log(`\n🚀 AI Aggregator Backend running on http://localhost:${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
-  console.log(`Aggregation endpoint: POST http://localhost:${PORT}/api/aggregate`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  
-  // Check for API keys
-  const apiKeys = {
-    'OpenAI': !!process.env.OPENAI_API_KEY,
-    'Anthropic': !!process.env.ANTHROPIC_API_KEY,
-    'Google': !!process.env.GOOGLE_API_KEY
-  };
-  
-  console.log('\n📋 API Key Status:');
-  Object.entries(apiKeys).forEach(([service, hasKey]) => {
-    console.log(`  ${service}: ${hasKey ? '✅ Configured' : '❌ Missing (using mock)'}`);
+  logger.info('AI Aggregator Backend started', {
+    url: `http://localhost:${PORT}`,
+    environment: process.env.NODE_ENV || 'development',
+    logLevel: logger.level,
+    // Providers without an API key answer with mock responses
+    providers: Object.fromEntries(getDirectProviders().map(provider => [
+      provider.id,
+      isConfigured(provider) ? 'configured' : 'mock'
+    ]))
   });
-  console.log('');
 });
\ No newline at end of file
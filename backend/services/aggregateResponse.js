@@ -0,0 +1,256 @@
+// backend/services/aggregateResponse.js
+//
+// The aggregate response contract. server.js and langchainServer.js both build
+// the /api/aggregate body (and the `result` of the `complete` stream event)
+// with createAggregateResponse, which validates it against the schema below.
+// Bump AGGREGATE_RESPONSE_VERSION whenever the shape changes incompatibly.
+const { z } = require('zod');
+const { getDisplayName } = require('../providers');
+const { REASONS, failureResult, isGenuine } = require('./providerResult');
+const { priceUsage, sumUsage } = require('./usage');
+
+// 2: provider `status` gained filtered/timeout and a `reason` code
+// 3: token `usage` and estimated cost per provider, synthesis and request
+const AGGREGATE_RESPONSE_VERSION = 3;
+
+const PROVIDER_STATUSES = ['ok', 'mock', 'error', 'filtered', 'timeout'];
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// Tokens of one model call; costUsd is null when the model has no known price
+const usageSchema = z.object({
+  inputTokens: z.number().int().nonnegative(),
+  outputTokens: z.number().int().nonnegative(),
+  costUsd: z.number().nonnegative().nullable(),
+});
+
+// One provider's answer. `text` is set for ok and mock, null otherwise;
+// `usage` is null when no tokens were reported (mocks, failures). `attempts`
+// counts calls including retries - 0 when the circuit breaker skipped it.
+const providerResultSchema = z.object({
+  displayName: z.string(),
+  status: z.enum(PROVIDER_STATUSES),
+  reason: z.enum(Object.keys(REASONS)).nullable(),
+  text: z.string().nullable(),
+  model: z.string(),
+  latencyMs: z.number().nonnegative().nullable(),
+  error: z.object({ message: z.string() }).nullable(),
+  usage: usageSchema.nullable(),
+  attempts: z.number().int().nonnegative().nullable(),
+});
+
+// State of one provider's circuit breaker (see circuitBreaker.js)
+const circuitBreakerSchema = z.object({
+  state: z.enum(['closed', 'open', 'half_open']),
+  consecutiveFailures: z.number().int().nonnegative(),
+  retryAt: z.string().nullable(),
+  retryInMs: z.number().nonnegative(),
+});
+
+const CLAIM_SUPPORT = ['all', 'some', 'one'];
+
+// Each claim with the providers making it, and each statement of the answer
+// with the claim it restates (`claim` indexes `claims`, null for none)
+const claimMapSchema = z.object({
+  claims: z.array(z.object({
+    statement: z.string(),
+    support: z.enum(CLAIM_SUPPORT),
+    providers: z.array(z.string()),
+    sources: z.record(z.string()),
+  })),
+  statements: z.array(z.object({
+    text: z.string(),
+    claim: z.number().int().nonnegative().nullable(),
+    providers: z.array(z.string()),
+    support: z.enum(CLAIM_SUPPORT).nullable(),
+  })),
+});
+
+// A marker group in the answer (`at` is its offset) and, for each cited
+// provider, the passage of its answer supporting the sentence, by offsets
+// into that answer (null when no passage matches)
+const citationSchema = z.object({
+  at: z.number().int().nonnegative(),
+  marker: z.string(),
+  statement: z.string(),
+  sources: z.array(z.object({
+    provider: z.string(),
+    passage: z.object({
+      start: z.number().int().nonnegative(),
+      end: z.number().int().nonnegative(),
+      text: z.string(),
+    }).nullable(),
+  })),
+});
+
+// Two statements from different providers that conflict - one denies what
+// the other asserts (polarity), or they give different numbers
+const contradictionSchema = z.object({
+  type: z.enum(['polarity', 'numbers']),
+  similarity: z.number().min(0).max(1),
+  statements: z.array(z.object({
+    provider: z.string(),
+    text: z.string(),
+  })).length(2),
+});
+
+const synthesisSchema = z.object({
+  answer: z.string(),
+  // The answer without its citation markers, for the conversation history of
+  // follow-ups; missing from syntheses cached before it existed
+  plainAnswer: z.string().optional(),
+  confidence: z.enum(CONFIDENCE_LEVELS),
+  confidenceScore: z.number().min(0).max(100),
+  // Id of the synthesis strategy (services/synthesis)
+  approach: z.string(),
+  reasoning: z.string(),
+  // Provider ids whose answers went into the synthesis
+  sourcesUsed: z.array(z.string()),
+  details: z.object({
+    validModels: z.number().int().nonnegative(),
+    similarityScore: z.number(),
+    commonThemes: z.array(z.string()).optional(),
+    differences: z.array(z.string()).optional(),
+    modelContributions: z.record(z.string()).optional(),
+    // Answered without the synthesis model: there is none, or its call failed
+    fallback: z.boolean().optional(),
+    // The synthesis model that wrote the answer, for strategies that use one
+    synthesisModel: z.object({ provider: z.string(), model: z.string() }).optional(),
+    // rules: the tier it chose by how much the answers agree
+    tier: z.enum(['consensus', 'balanced', 'comparative']).optional(),
+    // judge: the answer it picked
+    selectedProvider: z.string().optional(),
+    // ranked: every answer, best first
+    ranking: z.array(z.object({
+      provider: z.string(),
+      rank: z.number().int().positive(),
+      justification: z.string(),
+    })).optional(),
+    // majority: the distinct answers and the providers giving each
+    votes: z.array(z.object({
+      statement: z.string(),
+      providers: z.array(z.string()),
+    })).optional(),
+    // Answers with code: the provider with the best snippet, and the
+    // approaches the snippets take (see codeBlocks.js)
+    code: z.object({
+      best: z.string(),
+      language: z.string(),
+      approaches: z.array(z.object({
+        providers: z.array(z.string()),
+        calls: z.array(z.string()),
+      })),
+      similarity: z.number().min(0).max(100).nullable(),
+    }).optional(),
+  }),
+  // Inline source citations of the answer (see citations.js); missing from
+  // syntheses cached before they existed
+  citations: z.array(citationSchema).optional(),
+  // Claim-level agreement between the models (see claimMap.js); missing from
+  // syntheses cached before it existed
+  claimMap: claimMapSchema.optional(),
+  // Statements the models contradict each other on (see contradictions.js)
+  contradictions: z.array(contradictionSchema).optional(),
+  // null when no model was called (rule-based synthesis, fallbacks)
+  usage: usageSchema.nullable(),
+});
+
+const metadataSchema = z.object({
+  backend: z.enum(['direct', 'langchain']),
+  processingTimeMs: z.number().nonnegative(),
+  queryTimeMs: z.number().nonnegative().optional(),
+  synthesisTimeMs: z.number().nonnegative().optional(),
+  timestamp: z.string(),
+  totalSources: z.number().int().nonnegative(),
+  successfulSources: z.number().int().nonnegative(),
+  historyMessages: z.number().int().nonnegative(),
+  models: z.record(z.object({
+    model: z.string(),
+    temperature: z.number(),
+    maxTokens: z.number(),
+  })),
+  cache: z.object({
+    hit: z.boolean(),
+    models: z.boolean(),
+    synthesis: z.boolean(),
+  }).optional(),
+  // What this request spent - parts served from the cache cost nothing.
+  // `unpriced`: some call has no known price, so costUsd is only part of it
+  usage: z.object({
+    inputTokens: z.number().int().nonnegative(),
+    outputTokens: z.number().int().nonnegative(),
+    costUsd: z.number().nonnegative(),
+    unpriced: z.boolean(),
+  }),
+  // Breakers of the selected providers as they stand after this request
+  circuitBreakers: z.record(circuitBreakerSchema).optional(),
+});
+
+const aggregateResponseSchema = z.object({
+  version: z.literal(AGGREGATE_RESPONSE_VERSION),
+  prompt: z.string(),
+  synthesis: synthesisSchema,
+  responses: z.record(providerResultSchema),
+  metadata: metadataSchema,
+});
+
+function confidenceFromScore(score) {
+  if (score >= 70) return 'high';
+  if (score >= 30) return 'medium';
+  return 'low';
+}
+
+// Contract entry for one selection's outcome - a provider result (see
+// providerResult.js) with its latencyMs, usage priced for the selected model
+function buildProviderResult({ provider, model }, result) {
+  const { status, reason, text, message, usage = null, latencyMs = null, attempts = null } = result || failureResult('empty_response');
+  return {
+    displayName: getDisplayName(provider.id),
+    status,
+    reason,
+    text,
+    model,
+    latencyMs,
+    error: status === 'ok' || status === 'mock' ? null : { message },
+    usage: priceUsage(provider.id, model, usage),
+    attempts,
+  };
+}
+
+// metadata.usage from the contract's provider results and synthesis, leaving
+// out whatever `cache` says was replayed
+function summarizeUsage(responses, synthesis, cache = {}) {
+  return sumUsage([
+    ...(cache.models ? [] : Object.values(responses).map(result => result.usage)),
+    cache.synthesis ? null : synthesis.usage,
+  ]);
+}
+
+// Text of every genuine answer, keyed by provider id - what the synthesis
+// services and the cache keys work from. Mocks and failures are left out.
+function getResponseTexts(results) {
+  return Object.fromEntries(Object.entries(results)
+    .filter(([, result]) => isGenuine(result))
+    .map(([id, result]) => [id, result.text]));
+}
+
+// Throws a ZodError if the body doesn't match the contract, so a server can
+// never send a malformed response
+function createAggregateResponse({ prompt, synthesis, responses, metadata }) {
+  return aggregateResponseSchema.parse({
+    version: AGGREGATE_RESPONSE_VERSION,
+    prompt,
+    synthesis,
+    responses,
+    metadata,
+  });
+}
+
+module.exports = {
+  AGGREGATE_RESPONSE_VERSION,
+  aggregateResponseSchema,
+  confidenceFromScore,
+  buildProviderResult,
+  getResponseTexts,
+  summarizeUsage,
+  createAggregateResponse
+};
@@ -0,0 +1,88 @@
+// backend/services/aggregationRegistry.js
+//
+// In-flight aggregations by request id, each with an AbortController. An
+// aggregation is aborted when its client disconnects or when cancel(id) is
+// called (DELETE /api/aggregate/:requestId); the signal is passed down to the
+// provider calls and the synthesis so they stop as well.
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const REQUEST_ID_PATTERN = /^[\w-]{1,100}$/;
+
+// Response header carrying the id an aggregation can be cancelled with
+const AGGREGATION_ID_HEADER = 'X-Aggregation-Id';
+
+// Status of a non-streaming aggregation cancelled through the endpoint
+// (nginx's "client closed request" - there is no standard code for this)
+const CANCELLED_STATUS = 499;
+
+class AggregationCancelledError extends Error {
+  constructor(reason = 'cancelled') {
+    super(`Aggregation ${reason === 'client_disconnected' ? 'abandoned by the client' : 'cancelled'}`);
+    this.name = 'AggregationCancelledError';
+    this.reason = reason;
+  }
+}
+
+class AggregationRegistry {
+  constructor() {
+    this.active = new Map();
+  }
+
+  // Registers the aggregation answering `res`. Uses the client's request id
+  // when it is usable (the client needs it to cancel), otherwise makes one.
+  start(requestedId, res) {
+    let id = typeof requestedId === 'string' && REQUEST_ID_PATTERN.test(requestedId) ? requestedId : null;
+    if (!id || this.active.has(id)) {
+      id = crypto.randomUUID();
+    }
+
+    const controller = new AbortController();
+    this.active.set(id, controller);
+    res.set(AGGREGATION_ID_HEADER, id);
+
+    // 'close' also fires after a normal response; only an unfinished one
+    // means the client went away
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort(new AggregationCancelledError('client_disconnected'));
+      }
+      if (this.active.get(id) === controller) this.active.delete(id);
+    });
+
+    return { id, signal: controller.signal };
+  }
+
+  // True if an aggregation with this id was running
+  cancel(id) {
+    const controller = this.active.get(id);
+    if (!controller) return false;
+    controller.abort(new AggregationCancelledError('cancelled'));
+    this.active.delete(id);
+    return true;
+  }
+
+  // Handler for DELETE /api/aggregate/:requestId
+  cancelHandler() {
+    return (req, res) => {
+      if (!this.cancel(req.params.requestId)) {
+        return res.status(404).json({ error: 'No running aggregation with that id' });
+      }
+      logger.info('Aggregation cancelled', { aggregationId: req.params.requestId });
+      res.json({ cancelled: true });
+    };
+  }
+}
+
+// Whether an error is (or was caused by) the aggregation being aborted
+function isCancellation(error, signal) {
+  return error instanceof AggregationCancelledError || !!signal?.aborted;
+}
+
+module.exports = {
+  AggregationRegistry,
+  AggregationCancelledError,
+  isCancellation,
+  AGGREGATION_ID_HEADER,
+  CANCELLED_STATUS
+};
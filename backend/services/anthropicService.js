@@ -1,26 +1,29 @@
 // backend/services/anthropicService.js
 const axios = require('axios');
+const { okResult, mockResult, failureResult, classifyCommonError, createUsage } = require('./providerResult');
+const { logger } = require('./logger');
 
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_MODELS_URL = 'https://api.anthropic.com/v1/models';
+
+async function getAnthropicResponse(prompt, history = [], options = {}) {
+  logger.debug('Calling provider', { provider: 'anthropic', model: options.model, ...logger.promptFields(prompt) });
 
-async function getAnthropicResponse(prompt) {
-  console.log('Calling Anthropic Service for prompt:', prompt.substring(0, 50) + '...');
-  
   if (!ANTHROPIC_API_KEY) {
-    console.warn('Anthropic API key not found. Using mock response.');
-    return await getMockAnthropicResponse(prompt);
+    logger.warn('API key not found - using mock response', { provider: 'anthropic' });
+    return mockResult('no_api_key', await getMockAnthropicResponse(prompt));
   }
 
   try {
-    console.log('Making actual Anthropic API call...');
-    
     const response = await axios.post(
       ANTHROPIC_API_URL,
       {
-        model: "claude-3-haiku-20240307",
-        max_tokens: 400,
+        model: options.model || "claude-3-haiku-20240307",
+        max_tokens: options.maxTokens ?? 400,
+        temperature: options.temperature ?? 0.7,
         messages: [
+          ...history.map(message => ({ role: message.role, content: message.content })),
           {
             role: 'user',
             content: prompt
@@ -33,32 +36,20 @@ async function getAnthropicResponse(prompt) {
           'anthropic-version': '2023-06-01',
           'Content-Type': 'application/json'
         },
-        timeout: 15000
+        signal: options.signal
       }
     );
 
-    const content = response.data.content[0].text;
-    console.log(`✅ Anthropic API call successful. Response length: ${content.length} characters`);
+    const content = response.data.content[0]?.text;
+    const { usage } = response.data;
+    logger.debug('Provider call succeeded', { provider: 'anthropic', responseLength: content?.length ?? 0 });
     
-    return content;
+    return okResult(content, createUsage(usage?.input_tokens, usage?.output_tokens));
 
   } catch (error) {
-    console.error('❌ Anthropic API Error:', error.response?.status, error.response?.data?.error?.message || error.message);
-    
-    // Handle low credit balance
-    if (error.response?.status === 400 && error.response?.data?.error?.message?.includes('credit balance')) {
-      console.warn('Anthropic credit balance too low. Using enhanced mock response.');
-      return await getEnhancedMockResponse(prompt, 'Anthropic');
-    }
+    logger.warn('Provider call failed', { provider: 'anthropic', status: error.response?.status, message: error.response?.data?.error?.message || error.message });
     
-    if (error.response?.status === 401) {
-      console.warn('Anthropic authentication failed. Using enhanced mock response.');
-      return await getEnhancedMockResponse(prompt, 'Anthropic');
-    }
-    
-    // For other errors, return mock response instead of failing
-    console.warn('Anthropic API unavailable. Using enhanced mock response.');
-    return await getEnhancedMockResponse(prompt, 'Anthropic');
+    return failureResult(classifyCommonError(error), error.response?.data?.error?.message || error.message);
   }
 }
 
@@ -67,14 +58,15 @@ async function getMockAnthropicResponse(prompt) {
   return `Mock Anthropic (Claude) response: This is a simulated response to "${prompt.substring(0, 30)}..." - Claude would typically provide thoughtful analysis with attention to nuance, safety considerations, and helpful step-by-step guidance.`;
 }
 
-async function getEnhancedMockResponse(prompt, service) {
-  await new Promise(resolve => setTimeout(resolve, 400 + Math.random() * 300));
-  
-  const responses = {
-    'Anthropic': `Enhanced ${service} Response: Looking at "${prompt.substring(0, 40)}..." - This response would emphasize careful reasoning, ethical considerations, and practical implementation steps. Claude typically provides balanced perspectives and acknowledges potential limitations or uncertainties.`,
-  };
-  
-  return responses[service] || `Enhanced ${service} response for: ${prompt.substring(0, 50)}...`;
+// Readiness probe - listing the models checks the key without spending tokens
+async function probeAnthropic({ apiKey = ANTHROPIC_API_KEY, signal } = {}) {
+  await axios.get(ANTHROPIC_MODELS_URL, {
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    signal
+  });
 }
 
-module.exports = { getAnthropicResponse };
\ No newline at end of file
+module.exports = { getAnthropicResponse, probeAnthropic };
\ No newline at end of file
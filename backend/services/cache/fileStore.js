@@ -0,0 +1,68 @@
+// backend/services/cache/fileStore.js
+//
+// Cache store persisted to a JSON file so cached answers survive restarts.
+// Reads are served from memory; writes are batched and flushed atomically
+// (write to a temp file, then rename).
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const { logger } = require('../logger');
+
+const FLUSH_DELAY_MS = 500;
+
+class FileStore extends MemoryStore {
+  constructor({ filePath, maxEntries = 500 } = {}) {
+    super({ maxEntries });
+    this.filePath = filePath;
+    this.flushTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(saved).forEach(([key, entry]) => this.entries.set(key, entry));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read cache file - starting empty', { file: this.filePath, message: error.message });
+      }
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, FLUSH_DELAY_MS);
+    this.flushTimer.unref();
+  }
+
+  flush() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.entries)));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.warn('Could not write cache file', { file: this.filePath, message: error.message });
+    }
+  }
+
+  async set(key, entry) {
+    await super.set(key, entry);
+    this.scheduleFlush();
+  }
+
+  async delete(key) {
+    await super.delete(key);
+    this.scheduleFlush();
+  }
+
+  async clear() {
+    await super.clear();
+    this.scheduleFlush();
+  }
+}
+
+module.exports = FileStore;
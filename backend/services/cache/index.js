@@ -0,0 +1,36 @@
+// backend/services/cache/index.js
+const path = require('path');
+const ResponseCache = require('./responseCache');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const { logger } = require('../logger');
+
+// Builds the response cache from environment settings:
+//   CACHE_STORE        memory (default) | file
+//   CACHE_FILE         path for the file store (default backend/.cache/responses.json)
+//   CACHE_TTL_MS       time to live per entry (default 1 hour)
+//   CACHE_MAX_ENTRIES  entries kept before least recently used ones are evicted (default 500)
+function createResponseCache(env = process.env) {
+  const ttlMs = parseInt(env.CACHE_TTL_MS, 10) || 60 * 60 * 1000;
+  const maxEntries = parseInt(env.CACHE_MAX_ENTRIES, 10) || 500;
+
+  let store;
+  switch ((env.CACHE_STORE || 'memory').toLowerCase()) {
+    case 'file':
+      store = new FileStore({
+        filePath: env.CACHE_FILE || path.join(__dirname, '..', '..', '.cache', 'responses.json'),
+        maxEntries,
+      });
+      break;
+    case 'memory':
+      store = new MemoryStore({ maxEntries });
+      break;
+    default:
+      logger.warn('Unknown CACHE_STORE - using memory', { store: env.CACHE_STORE });
+      store = new MemoryStore({ maxEntries });
+  }
+
+  return new ResponseCache({ store, ttlMs });
+}
+
+module.exports = { createResponseCache, ResponseCache, MemoryStore, FileStore };
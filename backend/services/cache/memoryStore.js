@@ -0,0 +1,43 @@
+// backend/services/cache/memoryStore.js
+//
+// In-memory cache store. Entries are kept in insertion order of last use, so
+// when the store is full the least recently used entry is evicted.
+class MemoryStore {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    // Refresh recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,87 @@
+// backend/services/cache/responseCache.js
+//
+// TTL cache for model answers and syntheses on top of a pluggable store.
+// A store is any object with async get(key), set(key, entry), delete(key)
+// and clear(); entries are { value, expiresAt }.
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+// Prompts that differ only in surrounding or repeated whitespace share a key
+function normalizeText(text) {
+  return (text || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+// JSON with sorted object keys, so equal inputs always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+class ResponseCache {
+  constructor({ store, ttlMs }) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+  }
+
+  buildKey(namespace, { prompt, history = [], ...rest }) {
+    const material = stableStringify({
+      prompt: normalizeText(prompt),
+      history: history.map(message => ({ role: message.role, content: normalizeText(message.content) })),
+      ...rest,
+    });
+    return `${namespace}:${crypto.createHash('sha256').update(material).digest('hex')}`;
+  }
+
+  async get(key) {
+    const entry = await this.store.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.store.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value) {
+    await this.store.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  // Returns { value, cached }. `produce` runs on a miss (or when bypassed);
+  // its result is stored only if `shouldCache(value)` allows it.
+  async wrap(key, produce, { bypass = false, shouldCache = () => true } = {}) {
+    if (!bypass) {
+      try {
+        const cachedValue = await this.get(key);
+        if (cachedValue !== null) {
+          return { value: cachedValue, cached: true };
+        }
+      } catch (error) {
+        logger.warn('Cache read failed - continuing without cache', { message: error.message });
+      }
+    }
+
+    const value = await produce();
+
+    if (shouldCache(value)) {
+      try {
+        await this.set(key, value);
+      } catch (error) {
+        logger.warn('Cache write failed', { message: error.message });
+      }
+    }
+
+    return { value, cached: false };
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+}
+
+module.exports = ResponseCache;
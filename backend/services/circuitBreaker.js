@@ -0,0 +1,70 @@
+// backend/services/circuitBreaker.js
+//
+// Classic three-state circuit breaker:
+//   closed    - calls go through; `threshold` consecutive failures open it
+//   open      - calls are refused until `cooldownMs` has passed
+//   half_open - one trial call is let through; success closes the breaker,
+//               failure opens it for another cool-down
+class CircuitBreaker {
+  constructor({ threshold, cooldownMs }) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Whether a call may go ahead now; in half_open only the first caller may
+  allowRequest(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(now = Date.now()) {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+
+  // A call that was let through but ended without a verdict (cancelled)
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  // Milliseconds until an open breaker lets a trial call through
+  retryIn(now = Date.now()) {
+    return this.state === 'open' ? Math.max(0, this.openedAt + this.cooldownMs - now) : 0;
+  }
+
+  describe(now = Date.now()) {
+    // An open breaker whose cool-down has passed takes the next call as its trial
+    const state = this.state === 'open' && this.retryIn(now) === 0 ? 'half_open' : this.state;
+    return {
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      retryAt: state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      retryInMs: this.retryIn(now)
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
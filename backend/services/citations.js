@@ -0,0 +1,137 @@
+// backend/services/citations.js
+//
+// Inline source citations for the synthesized answer. Each sentence is
+// followed by the models supporting it - "... [OpenAI][Google]" - and each
+// citation points at the passage of every cited answer that supports the
+// sentence, by character offsets into that answer. A model supports a
+// sentence with the most similar sentence of its answer, from
+// CITATION_THRESHOLD up, unless the two contradict each other (see
+// contradictions.js).
+//
+// A synthesis model may cite sources itself, by provider id ("[openai]").
+// Its choice of sources is kept - only the passages are looked up - and its
+// markers are rewritten to the models' names.
+const { tfidfVectors, cosineSimilarity, tokenize } = require('./textSimilarity');
+const { statementSpans } = require('./claimExtraction');
+const { analyzeClaim, conflictType } = require('./contradictions');
+
+// A sentence cites a model from this similarity to its best passage up
+const CITATION_THRESHOLD = 0.5;
+
+// One or more bracketed names in a row, not a markdown link
+const MARKER_GROUP = /[ \t]*((?:\[[^\][\n]{1,60}\])+)(?!\()/g;
+
+// The provider a marker's name stands for - its id or display name - or null
+function markerProvider(name, providers) {
+  const key = name.trim().toLowerCase();
+  return providers.find(provider => provider.id.toLowerCase() === key || provider.displayName.toLowerCase() === key) || null;
+}
+
+// Removes the citation markers from `answer`. Returns the text without them
+// and [{ offset, providers }] - where each group stood in that text
+function stripMarkers(answer, providers) {
+  const groups = [];
+  let text = '';
+  let last = 0;
+  for (const match of answer.matchAll(MARKER_GROUP)) {
+    const cited = Array.from(match[1].matchAll(/\[([^\]]*)\]/g), ([, name]) => markerProvider(name, providers));
+    if (cited.some(provider => !provider)) continue;
+
+    text += answer.slice(last, match.index);
+    groups.push({ offset: text.length, providers: cited });
+    last = match.index + match[0].length;
+  }
+  return { text: text + answer.slice(last), groups };
+}
+
+// Sentences that can carry a citation: not headings or lead-ins, and with
+// at least one content word
+function isCitable(span) {
+  return !span.text.endsWith(':') && tokenize(span.text).length > 0;
+}
+
+// Returns { answer, plain, citations }: the answer with citation markers,
+// the answer without them, and one citation per marker group, in order:
+//   at        - offset of the marker group in `answer`
+//   marker    - the marker group ("[OpenAI][Google]")
+//   statement - the cited sentence
+//   sources   - [{ provider, passage }], passage being { start, end, text }
+//               of the provider's answer, or null when no passage matches
+// `responses` is answer text by provider id, `providers` the providers that
+// answered, in order.
+function citeAnswer(answer, { responses, providers }) {
+  const { text: plain, groups } = stripMarkers(answer, providers);
+  const modelCited = groups.length > 0;
+
+  const sentences = statementSpans(plain).filter(isCitable);
+  const passages = providers.flatMap(provider =>
+    statementSpans(responses[provider.id]).map(span => ({ ...span, provider: provider.id }))
+  );
+  const vectors = tfidfVectors([...sentences, ...passages].map(span => span.text));
+  const analyses = new Map();
+  const analysis = span => {
+    if (!analyses.has(span)) analyses.set(span, analyzeClaim(span.text));
+    return analyses.get(span);
+  };
+
+  // The provider's passage most similar to the sentence, with its similarity
+  const bestPassage = (sentenceIndex, providerId) => {
+    let best = null;
+    let bestScore = 0;
+    passages.forEach((passage, i) => {
+      if (passage.provider !== providerId) return;
+      const score = cosineSimilarity(vectors[sentenceIndex], vectors[sentences.length + i]);
+      if (score > bestScore && !conflictType(analysis(sentences[sentenceIndex]), analysis(passage))) {
+        best = passage;
+        bestScore = score;
+      }
+    });
+    return { passage: best, score: bestScore };
+  };
+
+  const cited = sentences.map((sentence, i) => {
+    let sources;
+    if (modelCited) {
+      // Markers belong to the sentence they follow or stand in
+      const next = sentences[i + 1]?.start ?? Infinity;
+      const ids = new Set(groups
+        .filter(group => group.offset > sentence.start && group.offset <= next)
+        .flatMap(group => group.providers.map(provider => provider.id)));
+      sources = providers
+        .filter(provider => ids.has(provider.id))
+        .map(provider => ({ provider: provider.id, passage: bestPassage(i, provider.id).passage }));
+    } else {
+      sources = providers
+        .map(provider => ({ provider: provider.id, ...bestPassage(i, provider.id) }))
+        .filter(source => source.score >= CITATION_THRESHOLD)
+        .map(({ provider, passage }) => ({ provider, passage }));
+    }
+    return { sentence, sources };
+  }).filter(entry => entry.sources.length > 0);
+
+  // Rebuild the answer with a marker group after each cited sentence
+  let result = '';
+  let last = 0;
+  const citations = cited.map(({ sentence, sources }) => {
+    const marker = sources
+      .map(source => `[${providers.find(provider => provider.id === source.provider).displayName}]`)
+      .join('');
+    result += `${plain.slice(last, sentence.end)} `;
+    last = sentence.end;
+    const at = result.length;
+    result += marker;
+    return {
+      at,
+      marker,
+      statement: sentence.text,
+      sources: sources.map(({ provider, passage }) => ({
+        provider,
+        passage: passage && { start: passage.start, end: passage.end, text: passage.text }
+      }))
+    };
+  });
+
+  return { answer: result + plain.slice(last), plain, citations };
+}
+
+module.exports = { citeAnswer };
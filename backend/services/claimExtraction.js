@@ -0,0 +1,88 @@
+// backend/services/claimExtraction.js
+//
+// Splits an answer into claims - its sentences, one per list item or line,
+// with the markdown around them removed - for the claim map (claimMap.js)
+// and the contradiction detector (contradictions.js), and into sentence
+// spans for citations (citations.js). Code blocks make no claims and hold no
+// sentences - a "." in obj.method() ends nothing.
+const { tokenize } = require('./textSimilarity');
+const { removeCodeBlocks } = require('./codeBlocks');
+
+// Sentences with fewer content words ("Great question!") are not claims
+const MIN_CLAIM_TERMS = 3;
+
+const LINE_MARKER = /^\s*(?:[-*+•>]|#{1,6}|\d+[.)])\s+/;
+const SENTENCE_BREAK = /(?<=[.!?])\s+(?=[A-Z0-9"'(])/;
+const CODE_FENCE = /^\s*(```|~~~)/;
+
+// Removes markdown around a line: list markers, headings, quotes, emphasis
+function cleanStatement(text) {
+  return text
+    .replace(LINE_MARKER, '')
+    .replace(/\*\*|__|`/g, '')
+    .trim();
+}
+
+// Sentences of a text, one per list item or line
+function splitStatements(text) {
+  if (!text) return [];
+  return removeCodeBlocks(text)
+    .split(/\n+/)
+    .flatMap(line => cleanStatement(line).split(SENTENCE_BREAK))
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+// Sentences of a text as they stand in it, markdown included but list
+// markers left out: [{ text, start, end }], `start` and `end` being character
+// offsets into `text`.
+function statementSpans(text) {
+  if (!text) return [];
+  const spans = [];
+  const sentenceBreak = new RegExp(SENTENCE_BREAK.source, 'g');
+  let inCode = false;
+  let lineStart = 0;
+  text.split('\n').forEach(line => {
+    const offset = lineStart;
+    lineStart += line.length + 1;
+    if (CODE_FENCE.test(line)) {
+      inCode = !inCode;
+      return;
+    }
+    if (inCode) return;
+
+    const marker = line.match(LINE_MARKER);
+    const bodyStart = marker ? marker[0].length : 0;
+    let sentenceStart = bodyStart;
+    const pieces = [];
+    for (const match of line.slice(bodyStart).matchAll(sentenceBreak)) {
+      pieces.push([sentenceStart, bodyStart + match.index]);
+      sentenceStart = bodyStart + match.index + match[0].length;
+    }
+    pieces.push([sentenceStart, line.length]);
+
+    pieces.forEach(([start, end]) => {
+      const piece = line.slice(start, end);
+      const leading = piece.length - piece.trimStart().length;
+      const content = piece.trim();
+      if (content) {
+        spans.push({ text: content, start: offset + start + leading, end: offset + start + leading + content.length });
+      }
+    });
+  });
+  return spans;
+}
+
+// First statement of a text, however short ("Paris.")
+function leadStatement(text) {
+  return splitStatements(text)[0] || '';
+}
+
+// Claims of one text, in order. Headings and lead-ins ending with a colon
+// introduce claims rather than making one.
+function extractClaims(text) {
+  return splitStatements(text)
+    .filter(sentence => !sentence.endsWith(':') && tokenize(sentence).length >= MIN_CLAIM_TERMS);
+}
+
+module.exports = { extractClaims, leadStatement, statementSpans };
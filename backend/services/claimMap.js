@@ -0,0 +1,139 @@
+// backend/services/claimMap.js
+//
+// Claim-level agreement between the models. Each answer is split into claims
+// (its sentences and list items), equivalent claims from different models are
+// clustered by text similarity, and each cluster is labelled by how many of
+// the answering models make it:
+//   all   - every model that answered
+//   some  - more than one, not all
+//   one   - a single model
+// The statements of the synthesized answer are then traced back to the claim
+// they restate, so the UI can show which models back each of them. Claims
+// that contradict each other (see contradictions.js) are never clustered,
+// and neither are two claims of the same answer - a model repeating itself
+// is not agreement.
+const { tfidfVectors, cosineSimilarity } = require('./textSimilarity');
+const { extractClaims } = require('./claimExtraction');
+const { analyzeClaim, conflictType } = require('./contradictions');
+
+// Two claims are the same claim from this similarity up. IDF comes from the
+// few claims of one request, so sentences sharing a couple of words score
+// around 0.5 ("A real local model would answer the question here." against
+// "This is a stub answer from a local model."); paraphrases score 0.7 and up.
+const CLAIM_MATCH_THRESHOLD = 0.6;
+const MAX_CLAIMS_PER_RESPONSE = 40;
+
+function supportLevel(supporters, answering) {
+  if (supporters === 1) return 'one';
+  return supporters === answering ? 'all' : 'some';
+}
+
+// Highest similarity between `vector` and any member of a cluster
+function bestMatch(vector, members) {
+  return members.reduce((best, member) => Math.max(best, cosineSimilarity(vector, member.vector)), 0);
+}
+
+// The member most similar to the others states the claim for the cluster
+function representative(members) {
+  let best = members[0];
+  let bestScore = -1;
+  members.forEach(member => {
+    const score = members.reduce((sum, other) => (other === member ? sum : sum + cosineSimilarity(member.vector, other.vector)), 0);
+    if (score > bestScore) {
+      best = member;
+      bestScore = score;
+    }
+  });
+  return best.text;
+}
+
+// Clusters the claims of `responses` - answer text by provider id - and
+// returns them most supported first, each with the providers making it and
+// how each of them phrased it
+function clusterClaims(responses) {
+  const answers = Object.entries(responses).filter(([, text]) => text);
+  const claims = answers.flatMap(([provider, text]) =>
+    extractClaims(text).slice(0, MAX_CLAIMS_PER_RESPONSE).map(claim => ({ provider, text: claim }))
+  );
+  const vectors = tfidfVectors(claims.map(claim => claim.text));
+
+  // Each claim joins the cluster it matches best, or starts a new one
+  const clusters = [];
+  claims.forEach((claim, i) => {
+    const member = { ...claim, vector: vectors[i], analysis: analyzeClaim(claim.text) };
+    let target = null;
+    let targetScore = CLAIM_MATCH_THRESHOLD;
+    clusters.forEach(cluster => {
+      if (cluster.members.some(other => other.provider === member.provider || conflictType(member.analysis, other.analysis))) {
+        return;
+      }
+      const score = bestMatch(member.vector, cluster.members);
+      if (score >= targetScore) {
+        target = cluster;
+        targetScore = score;
+      }
+    });
+    if (target) {
+      target.members.push(member);
+    } else {
+      clusters.push({ order: clusters.length, members: [member] });
+    }
+  });
+
+  return clusters
+    .map(cluster => {
+      const sources = Object.fromEntries(cluster.members.map(member => [member.provider, member.text]));
+      const providers = Object.keys(sources);
+      return {
+        statement: representative(cluster.members),
+        support: supportLevel(providers.length, answers.length),
+        providers,
+        sources,
+        order: cluster.order
+      };
+    })
+    .sort((a, b) => b.providers.length - a.providers.length || a.order - b.order)
+    .map(({ order, ...claim }) => claim);
+}
+
+// Traces each statement of the synthesized answer to the claim it matches
+// best; `claim` is that claim's index, null when no model made it
+function traceStatements(answer, claims) {
+  const statements = extractClaims(answer);
+  const claimTexts = claims.map(claim => Object.values(claim.sources));
+  const vectors = tfidfVectors([...statements, ...claimTexts.flat()]);
+  const statementVectors = vectors.slice(0, statements.length);
+
+  let offset = statements.length;
+  const claimVectors = claimTexts.map(texts => {
+    const members = vectors.slice(offset, offset + texts.length).map(vector => ({ vector }));
+    offset += texts.length;
+    return members;
+  });
+
+  return statements.map((text, i) => {
+    let claim = null;
+    let claimScore = CLAIM_MATCH_THRESHOLD;
+    claimVectors.forEach((members, index) => {
+      const score = bestMatch(statementVectors[i], members);
+      if (score >= claimScore) {
+        claim = index;
+        claimScore = score;
+      }
+    });
+    return {
+      text,
+      claim,
+      providers: claim === null ? [] : claims[claim].providers,
+      support: claim === null ? null : claims[claim].support
+    };
+  });
+}
+
+// The `claimMap` of a synthesis from the clustered claims of its responses
+// and the synthesized answer
+function buildClaimMap(claims, answer) {
+  return { claims, statements: traceStatements(answer, claims) };
+}
+
+module.exports = { clusterClaims, buildClaimMap };
@@ -0,0 +1,184 @@
+// backend/services/codeBlocks.js
+//
+// Code in the model answers. Fenced code blocks are taken out whole, and the
+// snippets of different answers are compared by structure rather than by
+// wording: the functions they call, the modules they import and the
+// constructs they use (async/await, classes, loops...). Snippets above
+// SAME_APPROACH_THRESHOLD similarity take the same approach. The best
+// snippet is a complete one from the approach most answers take, so a
+// synthesis can present it whole instead of mixing fragments of several.
+const { textSimilarity } = require('./textSimilarity');
+
+// Snippets more similar than this (Jaccard over their features) take the
+// same approach
+const SAME_APPROACH_THRESHOLD = 0.5;
+// Calls named per approach
+const MAX_LISTED_CALLS = 6;
+
+const CODE_FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)/;
+// Fence languages that name the same language
+const LANGUAGE_ALIASES = {
+  javascript: 'js', jsx: 'js', node: 'js', typescript: 'ts', tsx: 'ts', python: 'py', python3: 'py',
+  shell: 'sh', bash: 'sh', zsh: 'sh', console: 'sh', golang: 'go', rust: 'rs', ruby: 'rb',
+};
+
+// A name followed by "(" - not a definition, a control statement or an
+// import (imports are features of their own)
+const CALL = /(?<!\b(?:def|function|func|fn)\s+)\b([A-Za-z_$][\w$]*)\(/g;
+const NOT_CALLS = new Set([
+  'require', 'import', 'if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'typeof', 'sizeof', 'elif', 'except', 'with', 'and', 'or', 'not', 'in'
+]);
+// Printing and logging say nothing about the approach - nearly every snippet
+// shows its result. Matched lowercased against the called name, so
+// console.log, System.out.println and fmt.Println are all left out.
+const OUTPUT_CALLS = new Set(['print', 'println', 'printf', 'puts', 'log', 'info', 'warn', 'debug', 'dir', 'echo', 'display']);
+const IMPORTS = [
+  /\brequire\(\s*['"]([^'"]+)['"]/g,
+  /\bfrom\s+['"]([^'"]+)['"]/g,
+  /^\s*import\s+['"]([^'"]+)['"]/gm,
+  /^\s*import\s+([\w.]+)/gm,
+  /^\s*from\s+([\w.]+)\s+import\b/gm,
+  /^\s*#include\s*[<"]([^>"]+)/gm,
+  /^\s*using\s+([\w.]+)\s*;/gm,
+];
+const CONSTRUCTS = ['async', 'await', 'class', 'try', 'for', 'while', 'yield', 'lambda', 'new', 'with', 'switch', 'match'];
+const CONSTRUCT = new RegExp(`\\b(${CONSTRUCTS.join('|')})\\b`, 'g');
+
+const COMMENTS = /\/\*[\s\S]*?\*\/|\/\/.*$|(?:^|\s)#\s.*$/gm;
+const STRINGS = /(["'`])(?:\\.|(?!\1)[^\\\n])*\1/g;
+
+// Fenced code blocks of a text, in order: [{ language, code, start, end }],
+// `start` and `end` being character offsets of the whole block, fences
+// included. A block left open (a truncated answer) runs to the end.
+function extractCodeBlocks(text) {
+  if (!text) return [];
+  const blocks = [];
+  let open = null;
+  let lineStart = 0;
+  text.split('\n').forEach(line => {
+    const offset = lineStart;
+    lineStart += line.length + 1;
+    const fence = line.match(CODE_FENCE);
+    if (!open) {
+      if (fence) open = { language: fence[2].toLowerCase(), start: offset, lines: [] };
+    } else if (fence && line.trim() === fence[1]) {
+      blocks.push({ language: open.language, code: open.lines.join('\n'), start: open.start, end: offset + line.length });
+      open = null;
+    } else {
+      open.lines.push(line);
+    }
+  });
+  if (open) {
+    blocks.push({ language: open.language, code: open.lines.join('\n'), start: open.start, end: text.length });
+  }
+  return blocks;
+}
+
+// The text with its code blocks taken out, for what only reads prose
+function removeCodeBlocks(text) {
+  let result = '';
+  let last = 0;
+  extractCodeBlocks(text).forEach(block => {
+    result += text.slice(last, block.start);
+    last = block.end;
+  });
+  return result + (text || '').slice(last);
+}
+
+function collect(pattern, text, prefix, into) {
+  for (const match of text.matchAll(pattern)) into.add(`${prefix}:${match[1]}`);
+}
+
+// Structural features of a snippet: 'call:readFile', 'import:fs', 'uses:await'
+function codeFeatures(code) {
+  const features = new Set();
+  const withoutComments = code.replace(COMMENTS, '');
+  IMPORTS.forEach(pattern => collect(pattern, withoutComments, 'import', features));
+
+  const bare = withoutComments.replace(STRINGS, '""');
+  for (const [, name] of bare.matchAll(CALL)) {
+    if (!NOT_CALLS.has(name) && !OUTPUT_CALLS.has(name.toLowerCase())) features.add(`call:${name}`);
+  }
+  collect(CONSTRUCT, bare, 'uses', features);
+  return features;
+}
+
+// Similarity of two snippets from 0 to 1. Snippets in different languages
+// never take the same approach; snippets with nothing to compare
+// structurally (a shell command) are compared by their text.
+function snippetSimilarity(a, b) {
+  const language = snippet => LANGUAGE_ALIASES[snippet.language] || snippet.language;
+  if (a.language && b.language && language(a) !== language(b)) return 0;
+  if (a.features.size === 0 && b.features.size === 0) return textSimilarity(a.code, b.code);
+
+  let shared = 0;
+  a.features.forEach(feature => {
+    if (b.features.has(feature)) shared++;
+  });
+  return shared / (a.features.size + b.features.size - shared);
+}
+
+// Names of the calls every snippet makes, in the first one's order
+function sharedCalls(snippets) {
+  return [...snippets[0].features]
+    .filter(feature => feature.startsWith('call:') && snippets.every(snippet => snippet.features.has(feature)))
+    .map(feature => feature.slice('call:'.length))
+    .slice(0, MAX_LISTED_CALLS);
+}
+
+// Compares the code of the answers. `responses` is answer text by provider
+// id, `providers` the providers that answered, in order. Each answer is
+// represented by its longest code block. Returns null when no answer has
+// code, otherwise:
+//   best       - { provider, language, code } - the snippet of the largest
+//                approach that is most like the others, the most complete
+//                one on a tie
+//   approaches - [{ providers, calls }], most taken first: the answers whose
+//                snippets take each approach and the calls they share
+//   similarity - average similarity between the snippets, in percent, or
+//                null with a single snippet
+function compareCode(responses, providers) {
+  const snippets = providers.flatMap(provider => {
+    const blocks = extractCodeBlocks(responses[provider.id]).filter(block => block.code.trim());
+    if (blocks.length === 0) return [];
+    const main = blocks.reduce((longest, block) => (block.code.length > longest.code.length ? block : longest));
+    return [{ provider: provider.id, language: main.language, code: main.code, features: codeFeatures(main.code) }];
+  });
+  if (snippets.length === 0) return null;
+
+  const similarities = snippets.map(a => snippets.map(b => (a === b ? 1 : snippetSimilarity(a, b))));
+  const agreement = snippets.map((snippet, i) => (snippets.length > 1
+    ? similarities[i].reduce((sum, score, j) => sum + (i === j ? 0 : score), 0) / (snippets.length - 1)
+    : 0));
+
+  // Each snippet joins the first approach whose first snippet it is similar
+  // enough to
+  const groups = [];
+  snippets.forEach((snippet, i) => {
+    const group = groups.find(members => similarities[members[0]][i] > SAME_APPROACH_THRESHOLD);
+    if (group) group.push(i);
+    else groups.push([i]);
+  });
+  groups.sort((a, b) => b.length - a.length);
+
+  const bestIndex = groups[0].reduce((best, i) => {
+    const better = agreement[i] - agreement[best]
+      || snippets[i].features.size - snippets[best].features.size
+      || snippets[i].code.length - snippets[best].code.length;
+    return better > 0 ? i : best;
+  });
+  const { provider, language, code } = snippets[bestIndex];
+
+  return {
+    best: { provider, language, code },
+    approaches: groups.map(members => ({
+      providers: members.map(i => snippets[i].provider),
+      calls: sharedCalls(members.map(i => snippets[i])),
+    })),
+    similarity: snippets.length > 1
+      ? Math.round(agreement.reduce((sum, score) => sum + score, 0) / snippets.length * 100)
+      : null,
+  };
+}
+
+module.exports = { extractCodeBlocks, removeCodeBlocks, codeFeatures, compareCode };
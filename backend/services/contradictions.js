@@ -0,0 +1,96 @@
+// backend/services/contradictions.js
+//
+// Finds statements on which the models contradict each other. The claims of
+// each answer (see claimExtraction.js) are aligned with the other answers'
+// claims by topic - their content terms, leaving out negations and numbers,
+// with antonyms folded into one term - and an aligned pair conflicts when:
+//   polarity  - one side asserts what the other denies: "X is safe" against
+//               "X is not safe" or "X is unsafe", while "not bad" agrees
+//               with "good"
+//   numbers   - both sides give numbers and none of them match
+const { extractClaims } = require('./claimExtraction');
+const { stem } = require('./porterStemmer');
+const { NEGATIONS, tokenize, weighTerms, cosineSimilarity } = require('./textSimilarity');
+
+// Two claims are about the same thing from this topic similarity up
+const ALIGNMENT_THRESHOLD = 0.6;
+const MAX_CONTRADICTIONS = 5;
+
+// Each pair's second word asserts the opposite of its first
+const ANTONYM_PAIRS = [
+  ['good', 'bad'], ['better', 'worse'], ['best', 'worst'],
+  ['true', 'false'], ['correct', 'incorrect'], ['possible', 'impossible'],
+  ['safe', 'unsafe'], ['secure', 'insecure'], ['necessary', 'unnecessary'],
+  ['required', 'optional'], ['recommend', 'avoid'], ['support', 'oppose'],
+  ['agree', 'disagree'], ['positive', 'negative'], ['increase', 'decrease'],
+  ['higher', 'lower'], ['faster', 'slower'], ['larger', 'smaller'],
+  ['always', 'rarely'], ['allowed', 'forbidden'], ['legal', 'illegal'],
+  ['effective', 'ineffective'], ['likely', 'unlikely'], ['win', 'lose']
+];
+
+// Stem of each antonym -> the stem of its pair's first word
+const OPPOSITES = new Map(ANTONYM_PAIRS.map(([word, opposite]) => [stem(opposite), stem(word)]));
+
+const NUMBER_PATTERN = /\d+(?:,\d{3})*(?:\.\d+)?/g;
+
+// Topic terms, polarity and numbers of one claim
+function analyzeClaim(text) {
+  let negated = false;
+  let flipped = false;
+  const terms = [];
+  tokenize(text).forEach(token => {
+    if (NEGATIONS.has(token)) {
+      negated = true;
+    } else if (OPPOSITES.has(token)) {
+      terms.push(OPPOSITES.get(token));
+      flipped = !flipped;
+    } else if (!/^\d/.test(token)) {
+      terms.push(token);
+    }
+  });
+
+  const numbers = (text.match(NUMBER_PATTERN) || []).map(number => parseFloat(number.replace(/,/g, '')));
+  return { terms, positive: negated === flipped, numbers: new Set(numbers) };
+}
+
+// How two aligned claims conflict, or null when they don't
+function conflictType(a, b) {
+  if (a.positive !== b.positive) return 'polarity';
+  if (a.numbers.size > 0 && b.numbers.size > 0 && ![...a.numbers].some(number => b.numbers.has(number))) {
+    return 'numbers';
+  }
+  return null;
+}
+
+// Contradicting claim pairs between `responses` - answer text by provider
+// id - closest aligned first. Each holds the two sides with the provider
+// making them, the conflict type and the topic similarity of the pair.
+function findContradictions(responses) {
+  const claims = Object.entries(responses)
+    .filter(([, text]) => text)
+    .flatMap(([provider, text]) => extractClaims(text).map(claim => ({ provider, text: claim, ...analyzeClaim(claim) })));
+  const vectors = weighTerms(claims.map(claim => claim.terms));
+
+  const contradictions = [];
+  for (let i = 0; i < claims.length; i++) {
+    for (let j = i + 1; j < claims.length; j++) {
+      if (claims[i].provider === claims[j].provider) continue;
+
+      const similarity = cosineSimilarity(vectors[i], vectors[j]);
+      const type = similarity >= ALIGNMENT_THRESHOLD && conflictType(claims[i], claims[j]);
+      if (type) {
+        contradictions.push({
+          type,
+          similarity: Math.round(similarity * 100) / 100,
+          statements: [claims[i], claims[j]].map(({ provider, text }) => ({ provider, text }))
+        });
+      }
+    }
+  }
+
+  return contradictions
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, MAX_CONTRADICTIONS);
+}
+
+module.exports = { analyzeClaim, conflictType, findContradictions };
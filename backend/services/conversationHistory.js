@@ -0,0 +1,81 @@
+// backend/services/conversationHistory.js
+
+const MAX_HISTORY_TOKENS = parseInt(process.env.MAX_HISTORY_TOKENS, 10) || 3000;
+const MAX_HISTORY_MESSAGES = 50;
+
+// Rough token estimate (~4 characters per token for English text, plus a
+// small per-message overhead for role markers). Good enough for budgeting
+// without pulling in a provider-specific tokenizer.
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4) + 4;
+}
+
+// Accepts the `history` array from a request body and returns a clean list of
+// { role: 'user' | 'assistant', content } turns. Unknown roles and empty
+// messages are dropped, consecutive turns from the same role are merged so
+// providers that require alternating roles (Anthropic, Gemini) accept them.
+function normalizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  const normalized = [];
+  history.slice(-MAX_HISTORY_MESSAGES).forEach(message => {
+    if (!message || typeof message.content !== 'string') return;
+
+    const role = message.role === 'assistant' || message.role === 'ai' ? 'assistant'
+      : message.role === 'user' || message.role === 'human' ? 'user'
+      : null;
+    const content = message.content.trim();
+    if (!role || !content) return;
+
+    const previous = normalized[normalized.length - 1];
+    if (previous && previous.role === role) {
+      previous.content += `\n\n${content}`;
+    } else {
+      normalized.push({ role, content });
+    }
+  });
+
+  return normalized;
+}
+
+// Keeps the most recent turns that fit in the token budget. The oldest turns
+// are dropped first, and the result always starts with a user turn.
+function trimHistory(history, maxTokens = MAX_HISTORY_TOKENS) {
+  const trimmed = [];
+  let usedTokens = 0;
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(history[i].content);
+    if (usedTokens + tokens > maxTokens) break;
+    trimmed.unshift(history[i]);
+    usedTokens += tokens;
+  }
+
+  while (trimmed.length > 0 && trimmed[0].role !== 'user') {
+    trimmed.shift();
+  }
+
+  return trimmed;
+}
+
+// Normalize and trim in one step - what the aggregate routes use
+function prepareHistory(history, maxTokens = MAX_HISTORY_TOKENS) {
+  return trimHistory(normalizeHistory(history), maxTokens);
+}
+
+// Plain-text transcript for prompts that take the history as a single string
+function formatHistoryAsText(history) {
+  if (!history || history.length === 0) return 'No previous conversation.';
+  return history
+    .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+    .join('\n');
+}
+
+module.exports = {
+  estimateTokens,
+  normalizeHistory,
+  trimHistory,
+  prepareHistory,
+  formatHistoryAsText
+};
@@ -0,0 +1,146 @@
+// backend/services/conversationStore.js
+//
+// Conversations persisted in an embedded NeDB datastore (a single append-only
+// file, no database server needed). Each document holds the conversation and
+// its full message list, exactly as the frontend renders it, plus the running
+// token usage and cost of its answers.
+const path = require('path');
+const crypto = require('crypto');
+const Datastore = require('@seald-io/nedb');
+const { sumUsage } = require('./usage');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '.data', 'conversations.db');
+const DEFAULT_TITLE = 'New Conversation';
+const TITLE_MAX_LENGTH = 50;
+
+// Total of what the AI messages among `messages` spent (their aggregate
+// response's metadata.usage)
+function messagesUsage(messages) {
+  return sumUsage(messages
+    .filter(message => message.type === 'ai')
+    .map(message => message.content?.metadata?.usage));
+}
+
+class ConversationStore {
+  // filename ':memory:' keeps everything in memory (lost on restart)
+  constructor(filename = process.env.CONVERSATIONS_DB_FILE || DEFAULT_FILE) {
+    this.db = new Datastore(filename === ':memory:' ? { inMemoryOnly: true } : { filename });
+    this.ready = this.initialize();
+  }
+
+  async initialize() {
+    await this.db.loadDatabaseAsync();
+    await this.db.ensureIndexAsync({ fieldName: 'updatedAt' });
+    // Rewrite the append-only file once a day so it doesn't grow forever
+    this.db.setAutocompactionInterval(24 * 60 * 60 * 1000);
+  }
+
+  // API shape: `id` instead of NeDB's `_id`
+  toConversation(doc) {
+    if (!doc) return null;
+    const { _id, ...rest } = doc;
+    return { id: _id, ...rest };
+  }
+
+  toSummary(doc) {
+    return {
+      id: doc._id,
+      title: doc.title,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt,
+      messageCount: (doc.messages || []).length,
+      usage: doc.usage || messagesUsage(doc.messages || [])
+    };
+  }
+
+  async list() {
+    await this.ready;
+    const docs = await this.db.findAsync({}).sort({ updatedAt: -1 });
+    return docs.map(doc => this.toSummary(doc));
+  }
+
+  async get(id) {
+    await this.ready;
+    return this.toConversation(await this.db.findOneAsync({ _id: id }));
+  }
+
+  async create({ id, title, messages = [], createdAt, updatedAt } = {}) {
+    await this.ready;
+    const now = new Date().toISOString();
+    const doc = await this.db.insertAsync({
+      _id: id || crypto.randomUUID(),
+      title: title || DEFAULT_TITLE,
+      messages,
+      usage: messagesUsage(messages),
+      createdAt: createdAt || now,
+      updatedAt: updatedAt || createdAt || now
+    });
+    return this.toConversation(doc);
+  }
+
+  async rename(id, title) {
+    await this.ready;
+    const { affectedDocuments } = await this.db.updateAsync(
+      { _id: id },
+      { $set: { title, updatedAt: new Date().toISOString() } },
+      { returnUpdatedDocs: true }
+    );
+    return this.toConversation(affectedDocuments);
+  }
+
+  async remove(id) {
+    await this.ready;
+    const removed = await this.db.removeAsync({ _id: id }, {});
+    return removed > 0;
+  }
+
+  // Appends messages; a conversation still called "New Conversation" is
+  // titled after its first user message
+  async appendMessages(id, messages) {
+    await this.ready;
+    const existing = await this.db.findOneAsync({ _id: id });
+    if (!existing) return null;
+
+    const usage = messagesUsage(messages);
+    const update = {
+      $push: { messages: { $each: messages } },
+      $set: { updatedAt: new Date().toISOString(), ...(usage.unpriced && { 'usage.unpriced': true }) },
+      $inc: {
+        'usage.inputTokens': usage.inputTokens,
+        'usage.outputTokens': usage.outputTokens,
+        'usage.costUsd': usage.costUsd
+      }
+    };
+
+    const firstUserMessage = messages.find(message => message.type === 'user');
+    if (existing.title === DEFAULT_TITLE && firstUserMessage) {
+      const text = String(firstUserMessage.content);
+      update.$set.title = text.length > TITLE_MAX_LENGTH ? text.substring(0, TITLE_MAX_LENGTH) + '...' : text;
+    }
+
+    const { affectedDocuments } = await this.db.updateAsync({ _id: id }, update, { returnUpdatedDocs: true });
+    return this.toConversation(affectedDocuments);
+  }
+
+  // One-time import of conversations kept in browser storage. Conversations
+  // whose id already exists are skipped, so a retried import is harmless.
+  async importConversations(conversations) {
+    await this.ready;
+    let imported = 0;
+    let skipped = 0;
+
+    for (const conversation of conversations) {
+      const exists = await this.db.findOneAsync({ _id: conversation.id });
+      if (exists) {
+        skipped++;
+        continue;
+      }
+      await this.create(conversation);
+      imported++;
+    }
+
+    return { imported, skipped };
+  }
+}
+
+module.exports = ConversationStore;
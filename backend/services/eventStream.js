@@ -0,0 +1,36 @@
+// backend/services/eventStream.js
+
+// Turns an Express response into a Server-Sent Events stream.
+// Each event is written as `event: <type>` followed by a JSON `data:` line.
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+    get closed() {
+      return closed;
+    }
+  };
+}
+
+module.exports = { openEventStream };
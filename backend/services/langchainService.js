@@ -1,256 +1,245 @@
-const { ChatOpenAI } = require('@langchain/openai');
-const { ChatAnthropic } = require('@langchain/anthropic');
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
-const { RunnableParallel, RunnablePassthrough } = require('@langchain/core/runnables');
-const { StringOutputParser } = require('@langchain/core/output_parsers');
-const { ChatPromptTemplate } = require('@langchain/core/prompts');
+const { RunnableParallel, RunnableLambda } = require('@langchain/core/runnables');
+const { ChatPromptTemplate, MessagesPlaceholder } = require('@langchain/core/prompts');
+const { HumanMessage, AIMessage } = require('@langchain/core/messages');
+const { getProviders, getApiKey, isConfigured } = require('../providers');
+const { getDefaultSelections } = require('./modelSelection');
+const { okResult, mockResult } = require('./providerResult');
+const { usageFromMessage } = require('./usage');
+const { createResilience } = require('./resilience');
+const { logger } = require('./logger');
+const { recordProviderResult } = require('./metrics');
+
+const MAX_CACHED_CHAINS = 50;
 
 class LangChainService {
-  constructor() {
+  constructor(providers = getProviders(), resilience = createResilience()) {
+    this.providers = providers;
+    this.resilience = resilience;
     this.initializeModels();
     this.setupChains();
   }
 
   initializeModels() {
-    // Initialize OpenAI only if API key exists
-    if (process.env.OPENAI_API_KEY) {
-      try {
-        this.openAI = new ChatOpenAI({
-          modelName: 'gpt-3.5-turbo',
-          temperature: 0.7,
-          maxTokens: 400,
-          openAIApiKey: process.env.OPENAI_API_KEY,
-        });
-      } catch (error) {
-        console.warn('Failed to initialize OpenAI:', error.message);
-        this.openAI = null;
-      }
-    } else {
-      console.warn('OpenAI API key not found - will use mock responses');
-      this.openAI = null;
-    }
-
-    // Initialize Anthropic only if API key exists
-    if (process.env.ANTHROPIC_API_KEY) {
-      try {
-        this.anthropic = new ChatAnthropic({
-          modelName: 'claude-3-haiku-20240307',
-          temperature: 0.7,
-          maxTokens: 400,
-          anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-        });
-      } catch (error) {
-        console.warn('Failed to initialize Anthropic:', error.message);
-        this.anthropic = null;
-      }
-    } else {
-      console.warn('Anthropic API key not found - will use mock responses');
-      this.anthropic = null;
-    }
-
-    // Initialize Google Gemini only if API key exists
-    if (process.env.GOOGLE_AI_API_KEY) {
-      try {
-        this.googleAI = new ChatGoogleGenerativeAI({
-          model: 'gemini-1.5-flash',
-          temperature: 0.7,
-          maxOutputTokens: 400,
-          apiKey: process.env.GOOGLE_AI_API_KEY,
-        });
-
-        // Fallback model for Google
-        this.googleAIFallback = new ChatGoogleGenerativeAI({
-          model: 'gemini-pro',
-          temperature: 0.7,
-          maxOutputTokens: 400,
-          apiKey: process.env.GOOGLE_AI_API_KEY,
-        });
-      } catch (error) {
-        console.warn('Failed to initialize Google AI:', error.message);
-        this.googleAI = null;
-        this.googleAIFallback = null;
+    // Record which providers can make real calls; the chat models themselves
+    // are created per model selection in getChain
+    this.apiKeys = {};
+
+    this.providers.forEach(provider => {
+      if (!isConfigured(provider)) {
+        logger.warn('API key not found - will use mock responses', { provider: provider.id });
+        return;
       }
-    } else {
-      console.warn('Google AI API key not found - will use mock responses');
-      this.googleAI = null;
-      this.googleAIFallback = null;
-    }
+      this.apiKeys[provider.id] = getApiKey(provider);
+    });
   }
 
   setupChains() {
-    // Create a simple prompt template
+    // Earlier turns of the conversation go ahead of the new question
     this.promptTemplate = ChatPromptTemplate.fromMessages([
+      new MessagesPlaceholder('history'),
       ['human', '{input}'],
     ]);
 
-    // Create individual chains with output parsers only if models exist
-    if (this.openAI) {
-      this.openAIChain = this.promptTemplate
-        .pipe(this.openAI)
-        .pipe(new StringOutputParser());
-    }
+    // Chains are cached per provider/model/parameters combination; build the
+    // default ones up front so configuration problems show at startup
+    this.chainCache = new Map();
+    getDefaultSelections(this.providers).forEach(selection => this.getChain(selection));
+  }
 
-    if (this.anthropic) {
-      this.anthropicChain = this.promptTemplate
-        .pipe(this.anthropic)
-        .pipe(new StringOutputParser());
+  // Chain (prompt -> model) for one model selection, or null when the
+  // provider has no credentials or its model could not be created. It yields
+  // the AI message rather than a string so token usage comes along.
+  getChain({ provider, model, temperature, maxTokens }) {
+    if (!(provider.id in this.apiKeys)) {
+      return null;
     }
 
-    if (this.googleAI) {
-      this.googleAIChain = this.promptTemplate
-        .pipe(this.googleAI)
-        .pipe(new StringOutputParser());
-      
-      if (this.googleAIFallback) {
-        this.googleAIChain = this.googleAIChain.withFallbacks({
-          fallbacks: [
-            this.promptTemplate
-              .pipe(this.googleAIFallback)
-              .pipe(new StringOutputParser()),
-          ],
-        });
+    const key = JSON.stringify([provider.id, model, temperature, maxTokens]);
+    if (!this.chainCache.has(key)) {
+      const apiKey = this.apiKeys[provider.id];
+      let chain = null;
+
+      try {
+        // Retries are left to the resilience layer, which also times them
+        chain = this.promptTemplate
+          .pipe(provider.createModel({ apiKey, model, temperature, maxTokens, maxRetries: 0 }));
+      } catch (error) {
+        logger.warn('Failed to initialize provider', { provider: provider.id, model, message: error.message });
+        chain = null;
+      }
+
+      // Keep the cache bounded - requests can pick arbitrary temperatures
+      if (this.chainCache.size >= MAX_CACHED_CHAINS) {
+        this.chainCache.delete(this.chainCache.keys().next().value);
       }
+      this.chainCache.set(key, chain);
     }
 
-    // Create parallel execution chain only with available models
-    const availableChains = {};
-    if (this.openAIChain) availableChains.openai = this.openAIChain;
-    if (this.anthropicChain) availableChains.anthropic = this.anthropicChain;
-    if (this.googleAIChain) availableChains.google = this.googleAIChain;
+    return this.chainCache.get(key);
+  }
 
-    if (Object.keys(availableChains).length > 0) {
-      this.parallelChain = RunnableParallel.from(availableChains);
-    } else {
-      this.parallelChain = null;
-    }
+  getProvider(id) {
+    return this.providers.find(provider => provider.id === id);
   }
 
-  async queryAllModels(prompt) {
-    const results = {
-      openai: null,
-      anthropic: null,
-      google: null,
+  // Convert { role, content } history turns into LangChain chat messages
+  buildChainInput(prompt, history = []) {
+    return {
+      input: prompt,
+      history: history.map(message => (
+        message.role === 'assistant' ? new AIMessage(message.content) : new HumanMessage(message.content)
+      )),
     };
+  }
+
+  // Returns { [providerId]: result } where result is a provider result (see
+  // providerResult.js) plus latencyMs and attempts. Each call runs under the
+  // provider's timeout, retry and circuit breaker policy (see resilience.js).
+  // Aborting `signal` stops every call and rejects with its reason.
+  async queryAllModels(prompt, history = [], selections = getDefaultSelections(this.providers), signal) {
+    const results = Object.fromEntries(selections.map(({ provider }) => [provider.id, null]));
 
     try {
+      // Create parallel execution chain only with available models, each
+      // wrapped to run under its provider's policy and time its own call
+      const chains = {};
+      selections.forEach(selection => {
+        const chain = this.getChain(selection);
+        if (!chain) return;
+        const { provider } = selection;
+        chains[provider.id] = RunnableLambda.from(async (input, config) => {
+          const startTime = Date.now();
+          const result = await this.resilience.execute(
+            provider,
+            (callSignal) => chain.invoke(input, { ...config, signal: callSignal }).then(message => this.toResult(message)),
+            { signal }
+          );
+          return { ...result, latencyMs: Date.now() - startTime };
+        });
+      });
+
       // Execute all models in parallel with individual error handling
-      if (this.parallelChain) {
-        const parallelResults = await this.parallelChain.invoke(
-          { input: prompt },
+      if (Object.keys(chains).length > 0) {
+        const parallelChain = RunnableParallel.from(chains);
+        const parallelResults = await parallelChain.invoke(
+          this.buildChainInput(prompt, history),
           {
-            // Add callbacks for monitoring
+            signal,
+            // Add callbacks for monitoring; failures are logged by the
+            // resilience layer
             callbacks: [
               {
                 handleLLMStart: async (llm, prompts) => {
-                  console.log(`Starting LLM call: ${llm.name}`);
+                  logger.debug('LLM call started', { llm: llm.name ?? llm.id?.at(-1) });
                 },
                 handleLLMEnd: async (output) => {
-                  console.log('LLM call completed');
-                },
-                handleLLMError: async (err) => {
-                  console.error('LLM error:', err.message);
+                  logger.debug('LLM call completed');
                 },
               },
             ],
           }
         );
 
-        // Process results
-        results.openai = parallelResults.openai || null;
-        results.anthropic = parallelResults.anthropic || null;
-        results.google = parallelResults.google || null;
+        signal?.throwIfAborted();
+
+        // Process results; providers without a chain answer with their mock
+        selections.forEach(({ provider }) => {
+          results[provider.id] = provider.id in chains
+            ? parallelResults[provider.id]
+            : { ...this.getMockResult(provider.id), latencyMs: 0, attempts: 0 };
+        });
       } else {
         // No models available, use individual queries
         throw new Error('No models available for parallel execution');
       }
     } catch (error) {
-      console.error('Parallel execution error:', error);
+      signal?.throwIfAborted();
+      logger.error('Parallel execution failed - querying models one by one', { error });
       // Try individual calls as fallback
-      results.openai = await this.queryOpenAI(prompt);
-      results.anthropic = await this.queryAnthropic(prompt);
-      results.google = await this.queryGoogle(prompt);
+      for (const selection of selections) {
+        results[selection.provider.id] = await this.queryModel(selection, prompt, history, signal);
+      }
     }
 
+    Object.entries(results).forEach(([id, result]) => recordProviderResult(id, result));
     return results;
   }
 
-  async queryOpenAI(prompt) {
-    if (!this.openAIChain) {
-      return this.getMockResponse('openai', 'no_api_key');
-    }
-    try {
-      const response = await this.openAIChain.invoke({ input: prompt });
-      return response;
-    } catch (error) {
-      console.error('OpenAI error:', error.message);
-      if (error.message.includes('insufficient_quota')) {
-        return this.getMockResponse('openai', 'quota_exceeded');
-      }
-      if (error.message.includes('Incorrect API key')) {
-        return this.getMockResponse('openai', 'auth_error');
-      }
-      return this.getMockResponse('openai', 'general_error');
+  async queryModel(selection, prompt, history = [], signal) {
+    const { id } = selection.provider;
+    const chain = this.getChain(selection);
+    if (!chain) {
+      return { ...this.getMockResult(id), latencyMs: 0, attempts: 0 };
     }
+    const startTime = Date.now();
+    const result = await this.resilience.execute(
+      selection.provider,
+      (callSignal) => chain.invoke(this.buildChainInput(prompt, history), { signal: callSignal }).then(message => this.toResult(message)),
+      { signal }
+    );
+    signal?.throwIfAborted();
+    return { ...result, latencyMs: Date.now() - startTime };
   }
 
-  async queryAnthropic(prompt) {
-    if (!this.anthropicChain) {
-      return this.getMockResponse('anthropic', 'no_api_key');
-    }
-    try {
-      const response = await this.anthropicChain.invoke({ input: prompt });
-      return response;
-    } catch (error) {
-      console.error('Anthropic error:', error.message);
-      if (error.message.includes('credit balance')) {
-        return this.getMockResponse('anthropic', 'credit_error');
-      }
-      if (error.message.includes('Invalid API Key')) {
-        return this.getMockResponse('anthropic', 'auth_error');
+  // Stream every selected model at once, reporting progress through onEvent:
+  // provider-started, token-delta, provider-retry (the text so far is void and
+  // the stream starts over) and provider-finished (with the final provider
+  // result). Aborting `signal` ends every stream as cancelled.
+  async streamAllModels(prompt, history, selections, onEvent, signal) {
+    const results = {};
+
+    await Promise.all(selections.map(async (selection) => {
+      const { id } = selection.provider;
+      onEvent({ type: 'provider-started', provider: id, model: selection.model });
+
+      const startTime = Date.now();
+      const chain = this.getChain(selection);
+      let result;
+      if (!chain) {
+        result = { ...this.getMockResult(id), attempts: 0 };
+      } else {
+        result = await this.resilience.execute(selection.provider, async (callSignal) => {
+          // Chunks concatenate into the full message, usage included
+          let message = null;
+          const stream = await chain.stream(this.buildChainInput(prompt, history), { signal: callSignal });
+          for await (const chunk of stream) {
+            message = message ? message.concat(chunk) : chunk;
+            if (chunk.text) {
+              onEvent({ type: 'token-delta', provider: id, delta: chunk.text });
+            }
+          }
+          return this.toResult(message);
+        }, {
+          signal,
+          onRetry: ({ attempt, reason }) => onEvent({ type: 'provider-retry', provider: id, attempt, reason })
+        });
       }
-      return this.getMockResponse('anthropic', 'general_error');
-    }
-  }
 
-  async queryGoogle(prompt) {
-    if (!this.googleAIChain) {
-      return this.getMockResponse('google', 'no_api_key');
-    }
-    try {
-      const response = await this.googleAIChain.invoke({ input: prompt });
-      return response;
-    } catch (error) {
-      console.error('Google AI error:', error.message);
-      if (error.message.includes('API key not valid')) {
-        return this.getMockResponse('google', 'auth_error');
-      }
-      return this.getMockResponse('google', 'general_error');
-    }
+      results[id] = { ...result, latencyMs: Date.now() - startTime };
+      if (!signal?.aborted) recordProviderResult(id, results[id]);
+      onEvent({
+        type: 'provider-finished',
+        provider: id,
+        status: result.status,
+        reason: result.reason,
+        response: result.text,
+        message: result.message,
+        latencyMs: results[id].latencyMs,
+        attempts: result.attempts
+      });
+    }));
+
+    return results;
   }
 
-  getMockResponse(service, errorType) {
-    const mockResponses = {
-      openai: {
-        no_api_key: 'OpenAI API key not configured. This is a mock response. To use real OpenAI responses, please add your API key to the .env file.',
-        quota_exceeded: 'OpenAI API quota exceeded. This is a mock response. The service would normally provide insights based on GPT-3.5-turbo\'s analysis.',
-        auth_error: 'OpenAI authentication failed. This is a mock response simulating GPT-3.5-turbo\'s typical analytical style.',
-        general_error: 'OpenAI service temporarily unavailable. This mock response represents what GPT-3.5-turbo might say.',
-      },
-      anthropic: {
-        no_api_key: 'Anthropic API key not configured. This is a mock response. To use real Claude responses, please add your API key to the .env file.',
-        credit_error: 'Anthropic API credit limit reached. This is a mock response. Claude would typically provide a thoughtful, nuanced perspective here.',
-        auth_error: 'Anthropic authentication failed. This mock response simulates Claude\'s characteristic thoroughness and clarity.',
-        general_error: 'Anthropic service temporarily unavailable. This represents Claude\'s typical structured approach.',
-      },
-      google: {
-        no_api_key: 'Google AI API key not configured. This is a mock response. To use real Gemini responses, please add your API key to the .env file.',
-        auth_error: 'Google AI authentication failed. This is a mock response. Gemini would normally offer comprehensive analysis here.',
-        general_error: 'Google AI service temporarily unavailable. This mock response represents Gemini\'s typical informative style.',
-      },
-    };
+  toResult(message) {
+    return okResult(message?.text, usageFromMessage(message));
+  }
 
-    return mockResponses[service]?.[errorType] || `${service} service error - mock response provided.`;
+  getMockResult(id) {
+    const provider = this.getProvider(id);
+    return mockResult('no_api_key', provider?.mockResponse || `${id} is not configured - mock response provided.`);
   }
 }
 
-module.exports = LangChainService;
\ No newline at end of file
+module.exports = LangChainService;
@@ -0,0 +1,88 @@
+// backend/services/logger.js
+//
+// Structured logger shared by both servers: one JSON object per line, on
+// stdout (warn and error on stderr). Fields bound with withLogContext - the
+// request id, see middleware/requestId.js - are added to every line logged
+// while that request is handled, provider and synthesis calls included.
+//
+//   LOG_LEVEL    debug | info | warn | error | silent (default info)
+//   LOG_PROMPTS  redact (default) logs only a prompt's length, full logs it
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const context = new AsyncLocalStorage();
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.response?.status && { status: error.response.status }),
+    stack: error.stack
+  };
+}
+
+// Errors don't serialize by themselves - JSON.stringify gives {}
+function replacer(key, value) {
+  return value instanceof Error ? serializeError(value) : value;
+}
+
+class Logger {
+  constructor({ level = 'info', redactPrompts = true, bindings = {} } = {}) {
+    this.level = level in LEVELS ? level : 'info';
+    this.redactPrompts = redactPrompts;
+    this.bindings = bindings;
+  }
+
+  // Logger that adds `bindings` to each of its lines
+  child(bindings) {
+    return new Logger({ level: this.level, redactPrompts: this.redactPrompts, bindings: { ...this.bindings, ...bindings } });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.bindings,
+      ...context.getStore(),
+      ...fields
+    }, replacer);
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  debug(msg, fields) { this.write('debug', msg, fields); }
+  info(msg, fields) { this.write('info', msg, fields); }
+  warn(msg, fields) { this.write('warn', msg, fields); }
+  error(msg, fields) { this.write('error', msg, fields); }
+
+  // Fields describing a user prompt - its text only when LOG_PROMPTS=full
+  promptFields(prompt) {
+    return this.redactPrompts
+      ? { promptLength: prompt.length }
+      : { prompt, promptLength: prompt.length };
+  }
+}
+
+// Runs fn with `bindings` added to every line logged until it settles
+function withLogContext(bindings, fn) {
+  return context.run({ ...context.getStore(), ...bindings }, fn);
+}
+
+function createLogger(env = process.env) {
+  const level = (env.LOG_LEVEL || 'info').toLowerCase();
+  if (!(level in LEVELS)) {
+    process.stderr.write(`Unknown LOG_LEVEL "${env.LOG_LEVEL}" - using info\n`);
+  }
+  return new Logger({ level, redactPrompts: (env.LOG_PROMPTS || 'redact').toLowerCase() !== 'full' });
+}
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, withLogContext, Logger };
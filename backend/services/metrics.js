@@ -0,0 +1,212 @@
+// backend/services/metrics.js
+//
+// Prometheus metrics for both servers, served by GET /api/metrics in the
+// text exposition format. Provider metrics are fed from the model queries
+// (queryAllModels and friends), synthesis metrics from Synthesizer,
+// request counts from the countRequests() middleware.
+
+// Seconds; the upper buckets cover the provider timeout and its retries
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30, 60];
+const CONFIDENCE_BUCKETS = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// One series per combination of label values, keyed by their JSON
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  getSeries(labels, create) {
+    const values = this.labelNames.map(name => String(labels[name] ?? ''));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])), ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+class Counter extends Metric {
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [
+      ...this.header('counter'),
+      ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)
+    ];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header('histogram');
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+const registry = new MetricsRegistry();
+
+const httpRequests = registry.counter(
+  'aggregator_http_requests_total', 'HTTP requests by method, route and status code', ['method', 'route', 'status']
+);
+const providerCalls = registry.counter(
+  'aggregator_provider_calls_total', 'Provider queries by outcome status', ['provider', 'status']
+);
+const providerErrors = registry.counter(
+  'aggregator_provider_errors_total', 'Provider queries that failed, timed out or were filtered, by reason', ['provider', 'reason']
+);
+const providerFallbacks = registry.counter(
+  'aggregator_provider_fallbacks_total', 'Provider queries answered with a mock response, by reason', ['provider', 'reason']
+);
+const providerRetries = registry.counter(
+  'aggregator_provider_retries_total', 'Provider calls retried after a failed attempt', ['provider']
+);
+const providerLatency = registry.histogram(
+  'aggregator_provider_latency_seconds', 'Time a provider took to answer, retries included', ['provider'], LATENCY_BUCKETS
+);
+const syntheses = registry.counter(
+  'aggregator_synthesis_total', 'Syntheses by strategy, outcome and agreement tier', ['strategy', 'outcome', 'tier']
+);
+const synthesisParseFailures = registry.counter(
+  'aggregator_synthesis_parse_failures_total',
+  'Synthesis model answers that failed their schema, by strategy and how they were recovered',
+  ['strategy', 'result']
+);
+const synthesisConfidence = registry.histogram(
+  'aggregator_synthesis_confidence_score', 'Confidence score (0-100) of each synthesis', [], CONFIDENCE_BUCKETS
+);
+const synthesisDuration = registry.histogram(
+  'aggregator_synthesis_duration_seconds', 'Time taken to synthesize the answers', [], LATENCY_BUCKETS
+);
+
+// Outcome of one provider query - a provider result with latencyMs and
+// attempts. Mocks and skipped calls (open circuit breaker) take no time worth
+// measuring, so only real calls feed the latency histogram.
+function recordProviderResult(provider, result) {
+  providerCalls.inc({ provider, status: result.status });
+  if (result.status === 'mock') {
+    providerFallbacks.inc({ provider, reason: result.reason });
+  } else if (result.status !== 'ok') {
+    providerErrors.inc({ provider, reason: result.reason });
+  }
+  if (result.attempts > 1) {
+    providerRetries.inc({ provider }, result.attempts - 1);
+  }
+  if (result.status !== 'mock' && result.attempts !== 0 && result.latencyMs != null) {
+    providerLatency.observe({ provider }, result.latencyMs / 1000);
+  }
+}
+
+// `strategy` is the synthesis strategy's id, `outcome` one of ok, fallback
+// (answered without the synthesis model), single (one answer, nothing to
+// combine) or error (no answers), `tier` how much the answers agree -
+// consensus, balanced or comparative, none with fewer than two answers
+function recordSynthesis({ strategy, outcome, tier, confidenceScore, durationMs }) {
+  syntheses.inc({ strategy, outcome, tier });
+  synthesisConfidence.observe({}, confidenceScore);
+  synthesisDuration.observe({}, durationMs / 1000);
+}
+
+// A synthesis model answer that failed its schema; `result` is repaired (the
+// model corrected it), partial (parsed leniently) or failed
+function recordParseFailure({ strategy, result }) {
+  synthesisParseFailures.inc({ strategy, result });
+}
+
+// Middleware counting every request once it is answered. Routes are labelled
+// by their pattern, so ids in the path don't create new series.
+function countRequests() {
+  return (req, res, next) => {
+    res.on('close', () => {
+      httpRequests.inc({
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: res.statusCode
+      });
+    });
+    next();
+  };
+}
+
+// Handler for GET /api/metrics
+function metricsHandler() {
+  return (req, res) => {
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(registry.render());
+  };
+}
+
+module.exports = {
+  MetricsRegistry,
+  registry,
+  recordProviderResult,
+  recordSynthesis,
+  recordParseFailure,
+  countRequests,
+  metricsHandler
+};
@@ -0,0 +1,115 @@
+// backend/services/modelSelection.js
+//
+// Resolves which providers, models and generation parameters a request uses.
+// Requests may send:
+//   providers:  ['openai', 'google']              - subset of registered providers
+//   models:     { openai: 'gpt-4o-mini' }          - model per provider, from its allowlist
+//   parameters: { temperature: 0.2, maxTokens: 600 }
+// Anything left out falls back to the provider defaults.
+const { z } = require('zod');
+const { getProviders, isConfigured } = require('../providers');
+
+const PARAMETER_LIMITS = {
+  temperature: { min: 0, max: 1, default: 0.7 },
+  maxTokens: { min: 1, max: 2048, default: 400 },
+};
+
+const selectionSchema = z.object({
+  providers: z.array(z.string()).min(1, 'Select at least one provider').optional(),
+  models: z.record(z.string()).optional(),
+  parameters: z.object({
+    temperature: z.number()
+      .min(PARAMETER_LIMITS.temperature.min)
+      .max(PARAMETER_LIMITS.temperature.max)
+      .optional(),
+    maxTokens: z.number().int()
+      .min(PARAMETER_LIMITS.maxTokens.min)
+      .max(PARAMETER_LIMITS.maxTokens.max)
+      .optional(),
+  }).strict().optional(),
+});
+
+function formatZodError(error) {
+  return error.issues
+    .map(issue => `${issue.path.join('.') || 'request'}: ${issue.message}`)
+    .join('; ');
+}
+
+// Returns { selections } on success or { error } describing what was rejected.
+// Each selection is { provider, model, temperature, maxTokens }.
+function resolveModelSelection(body = {}, providers = getProviders()) {
+  const parsed = selectionSchema.safeParse(body);
+  if (!parsed.success) {
+    return { error: formatZodError(parsed.error) };
+  }
+
+  const { models = {}, parameters = {} } = parsed.data;
+  const providerIds = parsed.data.providers ? [...new Set(parsed.data.providers)] : providers.map(p => p.id);
+
+  const unknown = providerIds.filter(id => !providers.some(provider => provider.id === id));
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown provider(s): ${unknown.join(', ')}. Available: ${providers.map(p => p.id).join(', ')}`
+    };
+  }
+
+  const unselected = Object.keys(models).filter(id => !providerIds.includes(id));
+  if (unselected.length > 0) {
+    return { error: `Models given for providers that are not selected: ${unselected.join(', ')}` };
+  }
+
+  const selections = [];
+  for (const id of providerIds) {
+    const provider = providers.find(p => p.id === id);
+    const model = models[id] || provider.defaultModel;
+    if (!provider.models.includes(model)) {
+      return {
+        error: `Model "${model}" is not allowed for ${provider.displayName}. Allowed: ${provider.models.join(', ')}`
+      };
+    }
+
+    selections.push({
+      provider,
+      model,
+      temperature: parameters.temperature ?? PARAMETER_LIMITS.temperature.default,
+      maxTokens: parameters.maxTokens ?? PARAMETER_LIMITS.maxTokens.default,
+    });
+  }
+
+  return { selections };
+}
+
+// Default selection: every registered provider with its default model
+function getDefaultSelections(providers = getProviders()) {
+  return resolveModelSelection({}, providers).selections;
+}
+
+// What each answer was produced with, for response metadata
+function describeSelections(selections) {
+  return Object.fromEntries(selections.map(({ provider, model, temperature, maxTokens }) => [
+    provider.id,
+    { model, temperature, maxTokens }
+  ]));
+}
+
+// Allowlist exposed by GET /api/models
+function describeModelOptions(providers = getProviders()) {
+  return {
+    providers: providers.map(provider => ({
+      id: provider.id,
+      displayName: provider.displayName,
+      configured: isConfigured(provider),
+      defaultModel: provider.defaultModel,
+      models: provider.models,
+    })),
+    parameters: PARAMETER_LIMITS,
+  };
+}
+
+module.exports = {
+  PARAMETER_LIMITS,
+  resolveModelSelection,
+  getDefaultSelections,
+  describeSelections,
+  describeModelOptions
+};
@@ -0,0 +1,52 @@
+// backend/services/openAICompatibleService.js
+// Direct calls to any server exposing the OpenAI chat completions API
+// (Ollama, vLLM, LM Studio, llama.cpp server, ...)
+const axios = require('axios');
+const { createUsage } = require('./providerResult');
+const { logger } = require('./logger');
+
+// Resolves with { content, usage }
+async function getOpenAICompatibleResponse(config, prompt, history = [], options = {}) {
+  logger.debug('Calling provider', { provider: config.id, baseUrl: config.baseUrl, model: options.model || config.model, ...logger.promptFields(prompt) });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+
+  const response = await axios.post(
+    `${config.baseUrl.replace(/\/$/, '')}/chat/completions`,
+    {
+      model: options.model || config.model,
+      messages: [
+        ...history.map(message => ({ role: message.role, content: message.content })),
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      max_tokens: options.maxTokens ?? 400,
+      temperature: options.temperature ?? 0.7
+    },
+    {
+      headers,
+      signal: options.signal
+    }
+  );
+
+  const content = response.data.choices[0].message.content;
+  const { usage } = response.data;
+  logger.debug('Provider call succeeded', { provider: config.id, responseLength: content.length });
+
+  return { content, usage: createUsage(usage?.prompt_tokens, usage?.completion_tokens) };
+}
+
+// Readiness probe - GET /models is cheap and served by every compatible server
+async function probeOpenAICompatible(config, { signal } = {}) {
+  await axios.get(`${config.baseUrl.replace(/\/$/, '')}/models`, {
+    headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+    signal
+  });
+}
+
+module.exports = { getOpenAICompatibleResponse, probeOpenAICompatible };
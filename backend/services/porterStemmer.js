@@ -0,0 +1,147 @@
+// backend/services/porterStemmer.js
+//
+// The Porter stemming algorithm (M.F. Porter, 1980), which strips English
+// suffixes so word forms meet: "connected", "connecting" and "connection"
+// all become "connect". Expects a lowercase word of letters a-z; anything
+// shorter than three letters is returned as is.
+
+// Rewrites applied after step 1b removes -ed or -ing
+const STEP_1B_EXTENSIONS = { at: 'ate', bl: 'ble', iz: 'ize' };
+
+const STEP_2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+  bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+  ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+  fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble',
+  logi: 'log'
+};
+
+const STEP_3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const STEP_4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+// Only the longest matching suffix of a step is considered
+const byLength = (a, b) => b.length - a.length;
+const STEP_2_ORDER = Object.keys(STEP_2_SUFFIXES).sort(byLength);
+const STEP_3_ORDER = Object.keys(STEP_3_SUFFIXES).sort(byLength);
+const STEP_4_ORDER = [...STEP_4_SUFFIXES].sort(byLength);
+
+// A consonant is a letter other than a, e, i, o, u, and other than a y that
+// follows a consonant
+function isConsonant(word, i) {
+  const letter = word[i];
+  if ('aeiou'.includes(letter)) return false;
+  if (letter === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+}
+
+// m in [C](VC)^m[V] - the number of vowel-consonant sequences
+function measure(stem) {
+  let m = 0;
+  let i = 0;
+  while (i < stem.length && isConsonant(stem, i)) i++;
+  while (i < stem.length) {
+    while (i < stem.length && !isConsonant(stem, i)) i++;
+    if (i >= stem.length) break;
+    while (i < stem.length && isConsonant(stem, i)) i++;
+    m++;
+  }
+  return m;
+}
+
+function hasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) return true;
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(stem) {
+  const last = stem.length - 1;
+  return last > 0 && stem[last] === stem[last - 1] && isConsonant(stem, last);
+}
+
+// consonant-vowel-consonant, the last consonant not w, x or y ("hop")
+function endsWithCvc(stem) {
+  const last = stem.length - 1;
+  return last >= 2
+    && isConsonant(stem, last - 2)
+    && !isConsonant(stem, last - 1)
+    && isConsonant(stem, last)
+    && !'wxy'.includes(stem[last]);
+}
+
+// Replaces the longest suffix from `order` found on the word when the stem
+// before it has a measure above `minMeasure`
+function replaceSuffix(word, order, replacements, minMeasure) {
+  const suffix = order.find(candidate => word.endsWith(candidate));
+  if (!suffix) return word;
+  const stem = word.slice(0, -suffix.length);
+  return measure(stem) > minMeasure ? stem + replacements(suffix) : word;
+}
+
+function step1a(word) {
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ies')) return word.slice(0, -2);
+  if (word.endsWith('ss')) return word;
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+function step1b(word) {
+  if (word.endsWith('eed')) {
+    return measure(word.slice(0, -3)) > 0 ? word.slice(0, -1) : word;
+  }
+
+  const suffix = ['ed', 'ing'].find(candidate => word.endsWith(candidate));
+  if (!suffix || !hasVowel(word.slice(0, -suffix.length))) return word;
+
+  const stem = word.slice(0, -suffix.length);
+  const extension = Object.keys(STEP_1B_EXTENSIONS).find(ending => stem.endsWith(ending));
+  if (extension) return stem.slice(0, -extension.length) + STEP_1B_EXTENSIONS[extension];
+  if (endsWithDoubleConsonant(stem) && !'lsz'.includes(stem[stem.length - 1])) return stem.slice(0, -1);
+  if (measure(stem) === 1 && endsWithCvc(stem)) return `${stem}e`;
+  return stem;
+}
+
+function step1c(word) {
+  return word.endsWith('y') && hasVowel(word.slice(0, -1)) ? `${word.slice(0, -1)}i` : word;
+}
+
+function step4(word) {
+  const suffix = STEP_4_ORDER.find(candidate => word.endsWith(candidate));
+  if (!suffix) return word;
+  const stem = word.slice(0, -suffix.length);
+  if (measure(stem) <= 1) return word;
+  // -ion only goes after s or t ("adoption", "decision")
+  if (suffix === 'ion' && !/[st]$/.test(stem)) return word;
+  return stem;
+}
+
+function step5(word) {
+  if (word.endsWith('e')) {
+    const stem = word.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsWithCvc(stem))) word = stem;
+  }
+  if (measure(word) > 1 && endsWithDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+  return word;
+}
+
+function stem(word) {
+  if (word.length < 3) return word;
+
+  let result = step1c(step1b(step1a(word)));
+  result = replaceSuffix(result, STEP_2_ORDER, suffix => STEP_2_SUFFIXES[suffix], 0);
+  result = replaceSuffix(result, STEP_3_ORDER, suffix => STEP_3_SUFFIXES[suffix], 0);
+  return step5(step4(result));
+}
+
+module.exports = { stem };
@@ -0,0 +1,112 @@
+// backend/services/providerReadiness.js
+//
+// Readiness of each provider for GET /api/health/ready, from:
+//   configured  - whether it has the API key it needs
+//   probe       - the last cheap probe call (provider.probe), repeated once
+//                 it is older than PROBE_INTERVAL_MS
+//   errorRate   - share of its recent calls that failed (resilience.js)
+//   circuit     - its circuit breaker
+// A provider is ready, degraded (half-open breaker or half its recent calls
+// failing), down (open breaker or failed probe) or unconfigured.
+const { getApiKey, isConfigured } = require('../providers');
+const { classifyError } = require('./providerResult');
+const { logger } = require('./logger');
+
+const DEGRADED_ERROR_RATE = 0.5;
+
+function readNumber(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+class ProviderReadiness {
+  constructor(resilience, { probeIntervalMs, probeTimeoutMs }) {
+    this.resilience = resilience;
+    this.probeIntervalMs = probeIntervalMs;
+    this.probeTimeoutMs = probeTimeoutMs;
+    this.probes = new Map();
+    this.inFlight = new Map();
+  }
+
+  // Last probe of the provider, re-run when stale; concurrent callers share
+  // one probe call
+  async getProbe(provider, now = Date.now()) {
+    if (typeof provider.probe !== 'function') return null;
+
+    const last = this.probes.get(provider.id);
+    if (last && now - Date.parse(last.checkedAt) < this.probeIntervalMs) return last;
+
+    if (!this.inFlight.has(provider.id)) {
+      const probe = this.runProbe(provider).finally(() => this.inFlight.delete(provider.id));
+      this.inFlight.set(provider.id, probe);
+    }
+    return this.inFlight.get(provider.id);
+  }
+
+  async runProbe(provider) {
+    const startTime = Date.now();
+    const signal = AbortSignal.timeout(this.probeTimeoutMs);
+    let result;
+    try {
+      await provider.probe({ apiKey: getApiKey(provider), signal });
+      result = { ok: true, reason: null, message: null };
+    } catch (error) {
+      const reason = signal.aborted ? 'timeout' : classifyError(error, provider);
+      logger.warn('Provider probe failed', { provider: provider.id, reason, message: error.message });
+      result = { ok: false, reason, message: error.response?.data?.error?.message || error.message };
+    }
+
+    const probe = { ...result, checkedAt: new Date().toISOString(), latencyMs: Date.now() - startTime };
+    this.probes.set(provider.id, probe);
+    return probe;
+  }
+
+  async describeProvider(provider) {
+    const configured = isConfigured(provider);
+    const probe = configured ? await this.getProbe(provider) : null;
+    const errorRate = this.resilience.errorRate(provider);
+    const circuit = this.resilience.getBreaker(provider).describe();
+
+    let status = 'ready';
+    if (!configured) {
+      status = 'unconfigured';
+    } else if (circuit.state === 'open' || probe?.ok === false) {
+      status = 'down';
+    } else if (circuit.state === 'half_open' || (errorRate.calls > 0 && errorRate.rate >= DEGRADED_ERROR_RATE)) {
+      status = 'degraded';
+    }
+
+    return { displayName: provider.displayName, status, configured, probe, errorRate, circuit };
+  }
+
+  // Overall status: ready when every configured provider is, unavailable when
+  // none can answer for real, degraded in between
+  async describe(providers) {
+    const entries = await Promise.all(providers.map(async provider => [provider.id, await this.describeProvider(provider)]));
+    const statuses = entries.map(([, entry]) => entry.status).filter(status => status !== 'unconfigured');
+    const answering = statuses.filter(status => status === 'ready' || status === 'degraded').length;
+
+    let status = 'degraded';
+    if (answering === 0) status = 'unavailable';
+    else if (statuses.every(entry => entry === 'ready')) status = 'ready';
+
+    return { status, checkedAt: new Date().toISOString(), providers: Object.fromEntries(entries) };
+  }
+
+  // Handler for GET /api/health/ready; 503 while no provider can answer
+  handler(getProviders) {
+    return async (req, res) => {
+      const report = await this.describe(getProviders());
+      res.status(report.status === 'unavailable' ? 503 : 200).json(report);
+    };
+  }
+}
+
+function createReadiness(resilience, env = process.env) {
+  return new ProviderReadiness(resilience, {
+    probeIntervalMs: readNumber(env.PROBE_INTERVAL_MS, 5 * 60 * 1000),
+    probeTimeoutMs: readNumber(env.PROBE_TIMEOUT_MS, 5000)
+  });
+}
+
+module.exports = { ProviderReadiness, createReadiness };
@@ -0,0 +1,106 @@
+// backend/services/providerResult.js
+//
+// Every provider call - direct REST or LangChain - resolves to one of these
+// instead of a bare string, so callers never have to guess from the text
+// whether an answer is real:
+//   { status, reason, text, message, usage }
+// status  ok | mock | error | filtered | timeout
+// reason  null for ok, otherwise one of REASONS
+// text    the answer (ok) or canned stand-in (mock); null otherwise
+// message what went wrong, for logs and the UI; null for ok
+// usage   { inputTokens, outputTokens } reported by the provider, or null
+
+const REASONS = {
+  no_api_key: 'API key not configured',
+  quota_exceeded: 'API quota or credit exhausted',
+  auth_error: 'Authentication failed',
+  rate_limited: 'Rate limited by the provider',
+  model_not_found: 'Model not available',
+  connection_error: 'Provider could not be reached',
+  content_filtered: 'Blocked by the provider\'s safety filter',
+  empty_response: 'Provider returned an empty answer',
+  timeout: 'Provider did not answer in time',
+  cancelled: 'Request was cancelled',
+  circuit_open: 'Skipped while the provider keeps failing',
+  general_error: 'Provider request failed',
+};
+
+// Reasons that have their own status; everything else is an error
+const REASON_STATUS = {
+  content_filtered: 'filtered',
+  timeout: 'timeout',
+};
+
+// Token usage from the counts a provider reported; null when it reported none
+function createUsage(inputTokens, outputTokens) {
+  if (!Number.isFinite(inputTokens) && !Number.isFinite(outputTokens)) return null;
+  return { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
+}
+
+function okResult(text, usage = null) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { ...failureResult('empty_response'), usage };
+  }
+  return { status: 'ok', reason: null, text, message: null, usage };
+}
+
+// A canned answer standing in for a provider that can't be called
+function mockResult(reason, text) {
+  return { status: 'mock', reason, text, message: REASONS[reason] || null, usage: null };
+}
+
+function failureResult(reason, message) {
+  const known = reason in REASONS ? reason : 'general_error';
+  return {
+    status: REASON_STATUS[known] || 'error',
+    reason: known,
+    text: null,
+    message: message || REASONS[known],
+    usage: null,
+  };
+}
+
+// Only genuine answers take part in synthesis
+function isGenuine(result) {
+  return result?.status === 'ok';
+}
+
+// Reasons that can be told from any HTTP client or SDK error. Provider
+// modules refine this with their own classifyError for API-specific messages.
+function classifyCommonError(error) {
+  const status = error.response?.status ?? error.status;
+  const code = error.code || error.cause?.code;
+  const message = error.response?.data?.error?.message || error.message || '';
+
+  if (code === 'ERR_CANCELED' || error.name === 'AbortError') return 'cancelled';
+  if (code === 'ECONNABORTED' || code === 'ETIMEDOUT' || error.name === 'TimeoutError' || /timed? ?out/i.test(message)) {
+    return 'timeout';
+  }
+  if (/SAFETY|content[_ ]filter|content management policy/i.test(message)) return 'content_filtered';
+  if (/insufficient_quota|credit balance|quota/i.test(message)) return 'quota_exceeded';
+  if (status === 401 || status === 403) return 'auth_error';
+  if (status === 429) return 'rate_limited';
+  if (status === 404) return 'model_not_found';
+  if (code === 'ECONNREFUSED' || code === 'ENOTFOUND' || code === 'ECONNRESET' || /Connection error/i.test(message)) {
+    return 'connection_error';
+  }
+  return 'general_error';
+}
+
+// Provider-specific classification first, the common rules for anything it
+// doesn't recognise
+function classifyError(error, provider) {
+  const specific = provider?.classifyError ? provider.classifyError(error) : 'general_error';
+  return specific !== 'general_error' ? specific : classifyCommonError(error);
+}
+
+module.exports = {
+  REASONS,
+  createUsage,
+  okResult,
+  mockResult,
+  failureResult,
+  isGenuine,
+  classifyCommonError,
+  classifyError
+};
@@ -0,0 +1,197 @@
+// backend/services/resilience.js
+//
+// Timeout, retry with exponential backoff and a circuit breaker around every
+// provider call, for both servers. The policy for a provider is, in order of
+// precedence:
+//   PROVIDER_RESILIENCE - JSON of per-provider overrides, e.g.
+//                         { "google": { "timeoutMs": 20000, "maxRetries": 2 } }
+//   the provider module's optional `resilience` field
+//   the global settings below
+const CircuitBreaker = require('./circuitBreaker');
+const { failureResult, classifyError, isGenuine } = require('./providerResult');
+const { logger } = require('./logger');
+
+// Worth another attempt - the provider may well answer next time
+const RETRYABLE_REASONS = ['timeout', 'rate_limited', 'connection_error', 'empty_response', 'general_error'];
+
+// Failures that say nothing about the provider's health
+const NEUTRAL_REASONS = ['cancelled', 'content_filtered'];
+
+const MAX_BACKOFF_MS = 10000;
+
+// Outcomes of real calls kept per provider for its recent error rate
+const OUTCOME_WINDOW_MS = 5 * 60 * 1000;
+const MAX_OUTCOMES = 100;
+
+// Settings a call can't work with at 0: every call would time out at once,
+// and retries would hammer a struggling provider
+const POSITIVE_SETTINGS = ['timeoutMs', 'retryBaseDelayMs'];
+
+function readNumber(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function readPositiveNumber(value, fallback) {
+  return readNumber(value, 0) || fallback;
+}
+
+function parseOverrides(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    logger.warn('PROVIDER_RESILIENCE is not valid JSON - ignoring it', { message: error.message });
+    return {};
+  }
+}
+
+// Settles with `call`, or rejects with the abort reason as soon as `signal`
+// fires - even if the provider ignores the signal and keeps going
+function untilAborted(call, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    call.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+function sleep(ms, signal) {
+  return untilAborted(new Promise(resolve => setTimeout(resolve, ms)), signal);
+}
+
+class ProviderResilience {
+  constructor(defaults, overrides = {}) {
+    this.defaults = defaults;
+    this.overrides = overrides;
+    this.breakers = new Map();
+    this.outcomes = new Map();
+  }
+
+  getPolicy(provider) {
+    const policy = { ...this.defaults, ...provider.resilience, ...this.overrides[provider.id] };
+    POSITIVE_SETTINGS.forEach(name => {
+      if (!(policy[name] > 0)) policy[name] = this.defaults[name];
+    });
+    return policy;
+  }
+
+  getBreaker(provider) {
+    if (!this.breakers.has(provider.id)) {
+      const { failureThreshold, cooldownMs } = this.getPolicy(provider);
+      this.breakers.set(provider.id, new CircuitBreaker({ threshold: failureThreshold, cooldownMs }));
+    }
+    return this.breakers.get(provider.id);
+  }
+
+  backoff(policy, attempt) {
+    // Exponential with jitter, so retries from parallel requests spread out
+    const delay = policy.retryBaseDelayMs * 2 ** attempt;
+    return Math.min(MAX_BACKOFF_MS, Math.round(delay * (0.5 + Math.random() / 2)));
+  }
+
+  // Runs call(signal) - resolving to a provider result or throwing - under
+  // the provider's policy. Resolves to the final provider result plus the
+  // number of attempts made; a provider whose breaker is open is not called
+  // at all. onRetry({ attempt, reason, delayMs }) is told before each retry.
+  async execute(provider, call, { signal = new AbortController().signal, onRetry = () => {} } = {}) {
+    const policy = this.getPolicy(provider);
+    const breaker = this.getBreaker(provider);
+
+    if (!breaker.allowRequest()) {
+      const seconds = Math.ceil(breaker.retryIn() / 1000);
+      return {
+        ...failureResult('circuit_open', `${provider.displayName} skipped after ${breaker.consecutiveFailures} consecutive failures - retrying in ${seconds}s`),
+        attempts: 0
+      };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const timeoutSignal = AbortSignal.timeout(policy.timeoutMs);
+      const callSignal = AbortSignal.any([signal, timeoutSignal]);
+
+      let result;
+      try {
+        result = await untilAborted(Promise.resolve().then(() => call(callSignal)), callSignal);
+      } catch (error) {
+        if (!signal.aborted) logger.warn('Provider call failed', { provider: provider.id, attempt: attempt + 1, message: error.message });
+        result = timeoutSignal.aborted && !signal.aborted
+          ? failureResult('timeout', `${provider.displayName} did not answer within ${policy.timeoutMs / 1000}s`)
+          : failureResult(classifyError(error, provider), error.message);
+      }
+
+      if (signal.aborted) {
+        breaker.releaseTrial();
+        return { ...failureResult('cancelled'), attempts: attempt + 1 };
+      }
+
+      if (isGenuine(result) || result.status === 'mock') {
+        breaker.recordSuccess();
+        if (isGenuine(result)) this.recordOutcome(provider, true);
+        return { ...result, attempts: attempt + 1 };
+      }
+
+      if (attempt >= policy.maxRetries || !RETRYABLE_REASONS.includes(result.reason)) {
+        if (NEUTRAL_REASONS.includes(result.reason)) {
+          breaker.releaseTrial();
+        } else {
+          breaker.recordFailure();
+          this.recordOutcome(provider, false);
+          if (breaker.state === 'open') {
+            logger.warn('Circuit breaker opened', { provider: provider.id, consecutiveFailures: breaker.consecutiveFailures, cooldownMs: policy.cooldownMs });
+          }
+        }
+        return { ...result, attempts: attempt + 1 };
+      }
+
+      const delayMs = this.backoff(policy, attempt);
+      logger.info('Retrying provider', { provider: provider.id, attempt: attempt + 1, reason: result.reason, delayMs });
+      onRetry({ attempt: attempt + 1, reason: result.reason, delayMs });
+      try {
+        await sleep(delayMs, signal);
+      } catch {
+        breaker.releaseTrial();
+        return { ...failureResult('cancelled'), attempts: attempt + 1 };
+      }
+    }
+  }
+
+  recordOutcome(provider, ok, now = Date.now()) {
+    const outcomes = (this.outcomes.get(provider.id) || [])
+      .filter(outcome => now - outcome.at < OUTCOME_WINDOW_MS)
+      .slice(-(MAX_OUTCOMES - 1));
+    outcomes.push({ at: now, ok });
+    this.outcomes.set(provider.id, outcomes);
+  }
+
+  // Share of the provider's calls in the last few minutes that failed;
+  // mocks, cancellations and skipped calls don't count
+  errorRate(provider, now = Date.now()) {
+    const recent = (this.outcomes.get(provider.id) || []).filter(outcome => now - outcome.at < OUTCOME_WINDOW_MS);
+    const failures = recent.filter(outcome => !outcome.ok).length;
+    return {
+      windowMs: OUTCOME_WINDOW_MS,
+      calls: recent.length,
+      failures,
+      rate: recent.length > 0 ? Math.round((failures / recent.length) * 100) / 100 : 0
+    };
+  }
+
+  // Breaker state per provider, for /api/health and response metadata
+  describe(providers) {
+    return Object.fromEntries(providers.map(provider => [provider.id, this.getBreaker(provider).describe()]));
+  }
+}
+
+function createResilience(env = process.env) {
+  return new ProviderResilience({
+    timeoutMs: readPositiveNumber(env.REQUEST_TIMEOUT_MS, 15000),
+    maxRetries: readNumber(env.PROVIDER_MAX_RETRIES, 1),
+    retryBaseDelayMs: readPositiveNumber(env.PROVIDER_RETRY_BASE_DELAY_MS, 500),
+    failureThreshold: readNumber(env.CIRCUIT_BREAKER_THRESHOLD, 3) || 1,
+    cooldownMs: readNumber(env.CIRCUIT_BREAKER_COOLDOWN_MS, 60000)
+  }, parseOverrides(env.PROVIDER_RESILIENCE));
+}
+
+module.exports = { ProviderResilience, createResilience, untilAborted, readNumber };
@@ -0,0 +1,80 @@
+// backend/services/synthesis/answers.js
+//
+// Local helpers the strategies share for presenting and comparing the model
+// answers in a synthesis context (see synthesizer.js).
+const { tfidfVectors, cosineSimilarity } = require('../textSimilarity');
+
+// Each answer under its model's name
+function formatSideBySide({ providers, responses }) {
+  return providers
+    .map(provider => `**${provider.displayName}**\n${responses[provider.id]}`)
+    .join('\n\n');
+}
+
+// The answers for a synthesis prompt, labelled with the provider ids the
+// model has to refer to them by
+function formatForPrompt({ providers, responses }) {
+  return providers
+    .map(provider => `[${provider.id}] ${provider.displayName}:\n${responses[provider.id]}`)
+    .join('\n\n');
+}
+
+// Display names of the given provider ids, joined
+function namesOf(ids, providers) {
+  return ids.map(id => providers.find(provider => provider.id === id).displayName).join(', ');
+}
+
+// The comparison of the answers' code (context.code, see codeBlocks.js) for
+// a synthesis prompt
+function formatCodeForPrompt({ code }) {
+  if (!code) return 'None';
+  const approaches = code.approaches.map((approach, i) =>
+    `Approach ${i + 1}: ${approach.providers.join(', ')} - calls ${approach.calls.join(', ') || 'nothing in common'}`
+  );
+  return [...approaches, `Most agreed-on complete snippet: ${code.best.provider}`].join('\n');
+}
+
+// The best snippet of the answers' code, whole, and the other approaches the
+// models take
+function formatBestCode({ code, providers }) {
+  const { best, approaches } = code;
+  const bestApproach = approaches.find(approach => approach.providers.includes(best.provider));
+  const same = bestApproach.providers.filter(id => id !== best.provider);
+  let text = `**Code from ${namesOf([best.provider], providers)}**`
+    + (same.length > 0 ? ` (same approach: ${namesOf(same, providers)})` : '')
+    + `:\n\`\`\`${best.language}\n${best.code}\n\`\`\``;
+
+  // Each other approach by the calls that set it apart
+  const others = approaches.filter(approach => approach !== bestApproach);
+  if (others.length > 0) {
+    text += '\n\n**Other approaches:**\n' + others.map(approach => {
+      const own = approach.calls.filter(call => !bestApproach.calls.includes(call));
+      const calls = (own.length > 0 ? own : approach.calls).map(call => `\`${call}()\``).join(', ');
+      return `• ${namesOf(approach.providers, providers)}: ${calls ? `calls ${calls}` : 'different code'}`;
+    }).join('\n');
+  }
+  return text;
+}
+
+// Answers ranked by how much the other models back them: claims they share
+// with another model (see claimMap.js), then similarity to the other
+// answers. Each entry is { provider, shared, total, similarity }.
+function rankByAgreement({ providers, responses, claims }) {
+  const vectors = tfidfVectors(providers.map(provider => responses[provider.id]));
+  const ranking = providers.map((provider, i) => {
+    const own = claims.filter(claim => claim.providers.includes(provider.id));
+    const others = vectors.filter((vector, j) => j !== i);
+    const similarity = others.length > 0
+      ? others.reduce((sum, vector) => sum + cosineSimilarity(vectors[i], vector), 0) / others.length
+      : 0;
+    return {
+      provider,
+      shared: own.filter(claim => claim.providers.length > 1).length,
+      total: own.length,
+      similarity
+    };
+  });
+  return ranking.sort((a, b) => b.shared - a.shared || b.similarity - a.similarity);
+}
+
+module.exports = { formatSideBySide, formatForPrompt, formatCodeForPrompt, formatBestCode, rankByAgreement };
@@ -0,0 +1,84 @@
+// backend/services/synthesis/index.js
+//
+// Synthesis strategy registry. A request picks how the model answers are
+// combined with { "strategy": "<id>" }, and the synthesis reports that id as
+// its `approach`. Each strategy module declares:
+//   id           - key used in requests and in `approach` ('merge')
+//   label        - human readable name ('LLM merge')
+//   description  - what the synthesized answer looks like
+//   usesModel    - whether it calls the synthesis model
+//   synthesize(context) - resolves to the strategy's part of the synthesis:
+//                  { answer, reasoning, confidence?, confidenceScore?, details?, usage?, citations? }
+//                  where `citations: false` leaves the answer uncited (see
+//                  citations.js), for answers shown under their models' names
+//   stream(context)     - optional, same as synthesize but calls
+//                  context.onDelta with each new piece of the answer
+//   fallback(context)   - required with usesModel, answers without the model
+//                  when there is none or its call failed
+// Synthesizer (synthesizer.js) runs a strategy and builds the rest of the
+// synthesis around it; the context it passes is described there.
+const merge = require('./merge');
+const judge = require('./judge');
+const majority = require('./majority');
+const ranked = require('./ranked');
+const sideBySide = require('./sideBySide');
+const rules = require('./rules');
+
+const REQUIRED_FIELDS = ['id', 'label', 'description', 'usesModel', 'synthesize'];
+
+const strategies = new Map();
+
+function registerStrategy(strategy) {
+  const missing = REQUIRED_FIELDS.filter(field => strategy[field] === undefined);
+  if (strategy.usesModel && typeof strategy.fallback !== 'function') {
+    missing.push('fallback');
+  }
+  if (missing.length > 0) {
+    throw new Error(`Synthesis strategy "${strategy.id || 'unknown'}" is missing: ${missing.join(', ')}`);
+  }
+  if (strategies.has(strategy.id)) {
+    throw new Error(`Synthesis strategy "${strategy.id}" is already registered`);
+  }
+  strategies.set(strategy.id, strategy);
+  return strategy;
+}
+
+function getStrategy(id) {
+  return strategies.get(id);
+}
+
+function getStrategies() {
+  return Array.from(strategies.values());
+}
+
+// Returns { strategy } - the requested strategy id, or `defaultId` when the
+// request doesn't name one - or { error }
+function resolveStrategy(requested, defaultId) {
+  if (requested === undefined || requested === null) {
+    return { strategy: defaultId };
+  }
+  if (typeof requested !== 'string' || !strategies.has(requested)) {
+    return {
+      error: `Unknown synthesis strategy "${requested}". Available: ${Array.from(strategies.keys()).join(', ')}`
+    };
+  }
+  return { strategy: requested };
+}
+
+// Strategies a request may pick, for GET /api/models
+function describeStrategies(defaultId) {
+  return {
+    defaultStrategy: defaultId,
+    strategies: getStrategies().map(({ id, label, description, usesModel }) => ({ id, label, description, usesModel }))
+  };
+}
+
+[merge, judge, majority, ranked, sideBySide, rules].forEach(registerStrategy);
+
+module.exports = {
+  registerStrategy,
+  getStrategy,
+  getStrategies,
+  resolveStrategy,
+  describeStrategies
+};
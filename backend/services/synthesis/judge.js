@@ -0,0 +1,78 @@
+// backend/services/synthesis/judge.js
+//
+// Judge: the synthesis model picks the best answer, which is returned as the
+// model wrote it, with the judge's justification. Without the model the
+// answer the others back most is picked (see rankByAgreement).
+const { PromptTemplate } = require('@langchain/core/prompts');
+const { z } = require('zod');
+const { rankByAgreement } = require('./answers');
+const { invokeStructured } = require('./modelCall');
+
+const prompt = PromptTemplate.fromTemplate(`
+You are judging answers that several AI models gave to the same query.
+
+Conversation So Far:
+{conversation_history}
+
+Original User Query: {query}
+
+Answers, each labelled with its id in brackets:
+{model_responses}
+
+Pick the single best answer: the most accurate, complete and helpful one, consistent with the conversation so far. Judge the answers as they are - don't write a new one.
+
+{format_instructions}
+`);
+
+function getSchemas(providers) {
+  const bestAnswer = z.enum(providers.map(provider => provider.id)).describe('Id of the best answer');
+  return {
+    schema: z.object({
+      bestAnswer,
+      justification: z.string().describe('Why this answer is better than the others, in one or two sentences'),
+      confidenceScore: z.number().min(0).max(100).describe('How sure you are that it is the best answer (0-100)'),
+    }),
+    // The pick is all a judgement needs
+    lenientSchema: z.object({
+      bestAnswer,
+      justification: z.string().catch('no justification given'),
+      confidenceScore: z.number().min(0).max(100).optional().catch(undefined),
+    }),
+  };
+}
+
+function selected(context, providerId, reasoning) {
+  return {
+    answer: context.responses[providerId],
+    reasoning,
+    details: { selectedProvider: providerId },
+  };
+}
+
+async function synthesize(context) {
+  const { data, usage } = await invokeStructured(context, prompt, getSchemas(context.providers));
+  const provider = context.providers.find(entry => entry.id === data.bestAnswer);
+  return {
+    ...selected(context, provider.id, `${provider.displayName} judged best: ${data.justification}`),
+    confidenceScore: data.confidenceScore,
+    usage,
+  };
+}
+
+function fallback(context) {
+  const [best] = rankByAgreement(context);
+  return selected(
+    context,
+    best.provider.id,
+    `AI judge unavailable - picked ${best.provider.displayName}, the answer the other models back most`
+  );
+}
+
+module.exports = {
+  id: 'judge',
+  label: 'Judge picks the best answer',
+  description: 'The synthesis model picks the best answer and explains why',
+  usesModel: true,
+  synthesize,
+  fallback
+};
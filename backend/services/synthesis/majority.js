@@ -0,0 +1,82 @@
+// backend/services/synthesis/majority.js
+//
+// Majority vote, for short factual answers: each model votes with the first
+// statement of its answer, equivalent statements are counted together, and
+// the statement most models give wins. Terms of the query are left out when
+// comparing, so "Paris." and "The capital of France is Paris." are the same
+// vote for "What is the capital of France?"; statements that contradict
+// each other (see contradictions.js) never are.
+const { leadStatement } = require('../claimExtraction');
+const { analyzeClaim, conflictType } = require('../contradictions');
+const { tokenize, weighTerms, cosineSimilarity } = require('../textSimilarity');
+
+// Two statements are the same vote from this similarity up
+const SAME_VOTE_THRESHOLD = 0.6;
+
+// Terms a statement adds to the query, or all of its terms if it adds none
+function answerTerms(statement, queryTerms) {
+  const terms = tokenize(statement);
+  const added = terms.filter(term => !queryTerms.has(term));
+  return added.length > 0 ? added : terms;
+}
+
+// [{ statement, providers }], most votes first
+function countVotes(context) {
+  const queryTerms = new Set(tokenize(context.query));
+  const ballots = context.providers.map(provider => {
+    const statement = leadStatement(context.responses[provider.id]);
+    return { provider, statement, analysis: analyzeClaim(statement) };
+  });
+  const vectors = weighTerms(ballots.map(ballot => answerTerms(ballot.statement, queryTerms)));
+
+  const groups = [];
+  ballots.forEach((ballot, i) => {
+    const group = groups.find(candidate => candidate.members.every(member =>
+      cosineSimilarity(vectors[i], vectors[member.index]) >= SAME_VOTE_THRESHOLD
+      && !conflictType(ballot.analysis, member.analysis)
+    ));
+    const member = { ...ballot, index: i };
+    if (group) {
+      group.members.push(member);
+    } else {
+      groups.push({ statement: ballot.statement, members: [member] });
+    }
+  });
+
+  return groups
+    .map(group => ({ statement: group.statement, providers: group.members.map(member => member.provider) }))
+    .sort((a, b) => b.providers.length - a.providers.length);
+}
+
+function synthesize(context) {
+  const votes = countVotes(context);
+  const [winner, runnerUp] = votes;
+  const total = context.similarity.validCount;
+  const hasMajority = !runnerUp || winner.providers.length > runnerUp.providers.length;
+
+  const tally = votes
+    .map(({ statement, providers }) =>
+      `• ${providers.length} of ${total} - ${providers.map(provider => provider.displayName).join(', ')}: "${statement}"`)
+    .join('\n');
+
+  return {
+    answer: hasMajority
+      ? `${winner.statement}\n\n**Votes:**\n${tally}`
+      : `**No majority - the models are split:**\n${tally}`,
+    confidenceScore: hasMajority ? Math.round((winner.providers.length / total) * 100) : 0,
+    reasoning: hasMajority
+      ? `${winner.providers.length} of ${total} models gave this answer`
+      : `No majority: the models gave ${votes.length} different answers`,
+    details: {
+      votes: votes.map(({ statement, providers }) => ({ statement, providers: providers.map(provider => provider.id) })),
+    },
+  };
+}
+
+module.exports = {
+  id: 'majority',
+  label: 'Majority vote',
+  description: 'For short factual answers: the answer most models give wins',
+  usesModel: false,
+  synthesize
+};
@@ -0,0 +1,154 @@
+// backend/services/synthesis/merge.js
+//
+// LLM merge: the synthesis model writes one answer combining the best of all
+// of them, with their common themes, differences and each model's key
+// contribution. Streams the answer as the model writes it. Without the model
+// the answers are shown side by side.
+const { PromptTemplate } = require('@langchain/core/prompts');
+const { StructuredOutputParser } = require('@langchain/core/output_parsers');
+const { z } = require('zod');
+const { formatSideBySide } = require('./answers');
+const { promptInputs, readPartialJson, parseStructured, invokeStructured } = require('./modelCall');
+
+const prompt = PromptTemplate.fromTemplate(`
+You are an expert AI response synthesizer. Given responses from multiple AI models, create a comprehensive synthesis.
+
+Conversation So Far:
+{conversation_history}
+
+Original User Query: {query}
+
+Model Responses:
+{model_responses}
+
+Code in the responses, compared by the functions it calls:
+{code_comparison}
+
+Analyze these responses and provide a synthesis following these guidelines:
+1. Treat the query as the latest turn of the conversation above and stay consistent with earlier answers
+2. Identify common themes and agreements
+3. Note significant differences or unique insights
+4. Create a unified response that captures the best of all models
+5. Assess confidence based on model agreement (high: 70%+ agreement, medium: 30-70%, low: <30%)
+6. Highlight unique valuable contributions from each model
+7. After each sentence of the synthesized response, cite the answers that support it by their ids in square brackets, like [openai][google]
+8. Keep code blocks whole: include the one complete snippet taking the best approach - usually the one most models agree on - and never splice together fragments of different snippets. No citations inside code blocks
+
+{format_instructions}
+`);
+
+// Schemas depend on which providers answered, so they are built per provider
+// set and cached
+const schemas = new Map();
+
+function getSchemas(providers) {
+  const key = providers.map(provider => provider.id).join(',');
+  if (schemas.has(key)) {
+    return schemas.get(key);
+  }
+
+  const confidence = z.enum(['high', 'medium', 'low']).describe('Confidence level based on model agreement');
+  const schema = z.object({
+    synthesizedResponse: z.string().describe('The main synthesized response combining insights from all models, each sentence followed by the ids of the answers supporting it in square brackets'),
+    confidence,
+    confidenceScore: z.number().min(0).max(100).describe('Numerical confidence score (0-100)'),
+    commonThemes: z.array(z.string()).describe('Common themes across all responses'),
+    keyDifferences: z.array(z.string()).describe('Key differences or disagreements between models'),
+    modelContributions: z.object(Object.fromEntries(providers.map(provider => [
+      provider.id,
+      z.string().describe(`Key contribution from ${provider.displayName}`),
+    ]))),
+  });
+  // The synthesized response is what matters; without a confidence the
+  // synthesizer rates the answers' agreement instead
+  const lenientSchema = z.object({
+    synthesizedResponse: z.string().min(1),
+    confidence: confidence.optional().catch(undefined),
+    confidenceScore: z.number().min(0).max(100).optional().catch(undefined),
+    commonThemes: z.array(z.string()).catch([]),
+    keyDifferences: z.array(z.string()).catch([]),
+    modelContributions: z.record(z.string()).catch({}),
+  });
+
+  const entry = { schema, lenientSchema, parser: StructuredOutputParser.fromZodSchema(schema) };
+  schemas.set(key, entry);
+  return entry;
+}
+
+// The strategy result from the model's parsed answer
+function toResult(synthesis, context, usage) {
+  return {
+    answer: synthesis.synthesizedResponse,
+    confidence: synthesis.confidence,
+    confidenceScore: synthesis.confidenceScore,
+    reasoning: `${context.similarity.validCount} models answered with ${context.similarity.score}% similarity`,
+    details: {
+      commonThemes: synthesis.commonThemes,
+      differences: synthesis.keyDifferences,
+      modelContributions: synthesis.modelContributions,
+    },
+    usage,
+  };
+}
+
+async function synthesize(context) {
+  const { data, usage } = await invokeStructured(context, prompt, getSchemas(context.providers));
+  return toResult(data, context, usage);
+}
+
+async function stream(context) {
+  const { schema, lenientSchema, parser } = getSchemas(context.providers);
+  const promptText = await prompt.format({
+    ...promptInputs(context),
+    format_instructions: parser.getFormatInstructions(),
+  });
+  const chunks = await context.model.chat.stream(promptText, { signal: context.signal });
+
+  // The answer is JSON; parse what has arrived so far after every chunk and
+  // pass on the new part of the synthesized response
+  let message = null;
+  let partial = null;
+  let emitted = '';
+  for await (const chunk of chunks) {
+    message = message ? message.concat(chunk) : chunk;
+    partial = readPartialJson(message.text) ?? partial;
+    const text = typeof partial?.synthesizedResponse === 'string' ? partial.synthesizedResponse : '';
+    if (text.length > emitted.length && text.startsWith(emitted)) {
+      context.onDelta(text.slice(emitted.length));
+      emitted = text;
+    }
+  }
+
+  const { data, usage } = await parseStructured(context, { promptText, message, schema, lenientSchema });
+
+  // A repaired answer may differ from what was streamed
+  const answer = data.synthesizedResponse;
+  if (answer !== emitted) {
+    if (answer.startsWith(emitted)) {
+      context.onDelta(answer.slice(emitted.length));
+    } else {
+      context.onRestart?.();
+      context.onDelta(answer);
+    }
+  }
+  return toResult(data, context, usage);
+}
+
+function fallback(context) {
+  return {
+    answer: formatSideBySide(context),
+    reasoning: 'AI synthesis unavailable - showing each model\'s answer',
+    details: { modelContributions: context.responses },
+    citations: false,
+  };
+}
+
+module.exports = {
+  id: 'merge',
+  label: 'LLM merge',
+  description: 'The synthesis model combines the best of every answer into one',
+  usesModel: true,
+  synthesize,
+  stream,
+  fallback
+};
@@ -0,0 +1,171 @@
+// backend/services/synthesis/modelCall.js
+//
+// Calls to the synthesis model for the strategies that use one. The model in
+// a synthesis context is { chat, provider, name }: a LangChain chat model,
+// and the provider id and model name its token usage is priced by.
+//
+// Structured answers are checked against the strategy's zod `schema`. One
+// that fails it is repaired rather than given up on:
+//   1. the model is shown its answer and the validation error, and asked for
+//      corrected JSON (up to MAX_REPAIR_ATTEMPTS times)
+//   2. failing that, the answers are parsed leniently with the strategy's
+//      `lenientSchema`: truncated JSON is completed, and fields that fail
+//      their checks fall back to defaults
+// Only when even the lenient parse fails does the call reject.
+const { PromptTemplate } = require('@langchain/core/prompts');
+const { HumanMessage, AIMessage } = require('@langchain/core/messages');
+const { StructuredOutputParser, parsePartialJson } = require('@langchain/core/output_parsers');
+const { formatHistoryAsText } = require('../conversationHistory');
+const { usageFromMessage, priceUsage, sumUsage } = require('../usage');
+const { recordParseFailure } = require('../metrics');
+const { logger } = require('../logger');
+const { formatForPrompt, formatCodeForPrompt } = require('./answers');
+
+// Each repair is another model call
+const MAX_REPAIR_ATTEMPTS = 1;
+
+const repairPrompt = PromptTemplate.fromTemplate(`
+Your reply could not be used: {error}
+
+Reply again with the corrected JSON only, keeping what you wrote where it is valid.
+
+{format_instructions}
+`);
+
+// Priced token usage of a synthesis model message
+function getUsage(model, message) {
+  return priceUsage(model.provider, model.name, usageFromMessage(message));
+}
+
+// Inputs every synthesis prompt gets
+function promptInputs(context) {
+  return {
+    query: context.query,
+    conversation_history: formatHistoryAsText(context.history),
+    model_responses: formatForPrompt(context),
+    code_comparison: formatCodeForPrompt(context),
+  };
+}
+
+// The JSON in a reply, which may be wrapped in a markdown code block. Its
+// strings can hold code blocks of their own, so bare JSON is taken as it is
+// and a wrapping block runs to the last fence.
+function unwrapJson(text) {
+  const trimmed = text.trim();
+  const open = trimmed.match(/```(?:json)?/);
+  if (trimmed.startsWith('{') || !open) return trimmed;
+  const start = open.index + open[0].length;
+  const end = trimmed.lastIndexOf('```');
+  return trimmed.slice(start, end >= start ? end : undefined).trim();
+}
+
+// The JSON object in a reply
+function readJson(text) {
+  return JSON.parse(unwrapJson(text));
+}
+
+// As much of the JSON object in a reply as can be read - truncated JSON is
+// completed - or null
+function readPartialJson(text) {
+  return parsePartialJson(unwrapJson(text));
+}
+
+// Resolves to { data } when `text` passes `schema`, or { error } describing
+// why it doesn't, worded for the model
+function parseStrict(text, schema) {
+  let json;
+  try {
+    json = readJson(text);
+  } catch (error) {
+    return { error: `it is not valid JSON (${error.message})` };
+  }
+
+  const parsed = schema.safeParse(json);
+  if (parsed.success) {
+    return { data: parsed.data };
+  }
+  const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || 'the reply'}: ${issue.message}`);
+  return { error: `it does not match the schema - ${issues.join('; ')}` };
+}
+
+// The lenient parse of the first of `texts` that allows one, or null
+function parseLenient(texts, lenientSchema) {
+  for (const text of texts) {
+    let json = null;
+    try {
+      json = readPartialJson(text);
+    } catch {
+      // Not even partial JSON - try the next reply
+    }
+    const parsed = json ? lenientSchema.safeParse(json) : null;
+    if (parsed?.success) return parsed.data;
+  }
+  return null;
+}
+
+function logParseFailure(context, message, fields) {
+  logger.warn(message, {
+    strategy: context.strategy,
+    provider: context.model.provider,
+    model: context.model.name,
+    ...fields
+  });
+}
+
+// Parses the model's structured `message`, repairing it as described above.
+// `promptText` is the prompt that produced it. Resolves to { data, usage },
+// usage covering the repair calls too; rejects when no parse succeeds.
+async function parseStructured(context, { promptText, message, schema, lenientSchema }) {
+  const parser = StructuredOutputParser.fromZodSchema(schema);
+  const messages = [message];
+  const usage = () => (messages.length === 1
+    ? getUsage(context.model, message)
+    : sumUsage(messages.map(entry => getUsage(context.model, entry))));
+
+  let result = parseStrict(message.text, schema);
+  const conversation = [new HumanMessage(promptText)];
+  for (let attempt = 1; result.error && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    logParseFailure(context, 'Synthesis output failed to parse - asking the model to repair it', {
+      attempt, error: result.error
+    });
+    const reply = messages[messages.length - 1];
+    conversation.push(new AIMessage(reply.text), new HumanMessage(await repairPrompt.format({
+      error: result.error,
+      format_instructions: parser.getFormatInstructions(),
+    })));
+    messages.push(await context.model.chat.invoke(conversation, { signal: context.signal }));
+    result = parseStrict(messages[messages.length - 1].text, schema);
+  }
+
+  if (!result.error) {
+    if (messages.length > 1) recordParseFailure({ strategy: context.strategy, result: 'repaired' });
+    return { data: result.data, usage: usage() };
+  }
+
+  // The latest reply is the model's best attempt
+  const data = parseLenient(messages.map(entry => entry.text).reverse(), lenientSchema);
+  if (data) {
+    logParseFailure(context, 'Synthesis output repair failed - using a partial parse', { error: result.error });
+    recordParseFailure({ strategy: context.strategy, result: 'partial' });
+    return { data, usage: usage() };
+  }
+
+  logParseFailure(context, 'Synthesis output could not be parsed', { error: result.error });
+  recordParseFailure({ strategy: context.strategy, result: 'failed' });
+  throw new Error(`Synthesis output could not be parsed: ${result.error}`);
+}
+
+// Runs `prompt` on the synthesis model and parses its answer against
+// `schema`, repairing it if need be. Resolves to { data, usage }; aborting
+// context.signal stops the call.
+async function invokeStructured(context, prompt, { schema, lenientSchema }) {
+  const parser = StructuredOutputParser.fromZodSchema(schema);
+  const promptText = await prompt.format({
+    ...promptInputs(context),
+    format_instructions: parser.getFormatInstructions(),
+  });
+  const message = await context.model.chat.invoke(promptText, { signal: context.signal });
+  return parseStructured(context, { promptText, message, schema, lenientSchema });
+}
+
+module.exports = { promptInputs, readPartialJson, parseStructured, invokeStructured };
@@ -0,0 +1,93 @@
+// backend/services/synthesis/modelChain.js
+//
+// The synthesis models, in order of preference. SYNTHESIS_MODELS lists them
+// as comma-separated provider ids, each optionally with the model to use:
+//   SYNTHESIS_MODELS=anthropic:claude-3-5-sonnet-20241022,openai,ollama:llama3.1
+// Any registered provider can synthesize, local ones (LOCAL_PROVIDERS)
+// included; without a model its default model is used. Providers without an
+// API key are left out. Each model has its own circuit breaker, so one whose
+// calls keep failing is skipped for a cool-down and the next one takes over.
+const { getProvider, getApiKey, isConfigured } = require('../../providers');
+const CircuitBreaker = require('../circuitBreaker');
+const { readNumber } = require('../resilience');
+const { logger } = require('../logger');
+
+const DEFAULT_SYNTHESIS_MODELS = 'openai,anthropic,google';
+
+// Lower temperature for more consistent syntheses, and room for the
+// structured answer around the synthesized response
+const SYNTHESIS_TEMPERATURE = 0.3;
+const SYNTHESIS_MAX_TOKENS = 800;
+
+// The next model in the chain is a better bet than retrying a failing one
+const SYNTHESIS_MAX_RETRIES = 1;
+
+// [{ provider, model }] from a SYNTHESIS_MODELS value; model is null when an
+// entry names only the provider. Model names may contain colons
+// ("ollama:llama3.1:8b"), so only the first one separates the two.
+function parseModelChain(spec) {
+  return spec
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { provider: entry, model: null }
+        : { provider: entry.slice(0, separator), model: entry.slice(separator + 1) || null };
+    });
+}
+
+// Synthesis model descriptor (see modelCall.js) for one chain entry, or null
+// when it can't take part
+function createSynthesisModel({ provider: providerId, model }, breakerOptions) {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    logger.warn('Unknown provider in SYNTHESIS_MODELS - skipping it', { provider: providerId });
+    return null;
+  }
+  if (!isConfigured(provider)) {
+    logger.info('Synthesis model skipped - provider has no API key', { provider: providerId });
+    return null;
+  }
+
+  const name = model || provider.defaultModel;
+  try {
+    const chat = provider.createModel({
+      apiKey: getApiKey(provider),
+      model: name,
+      temperature: SYNTHESIS_TEMPERATURE,
+      maxTokens: SYNTHESIS_MAX_TOKENS,
+      maxRetries: SYNTHESIS_MAX_RETRIES,
+    });
+    return { chat, provider: provider.id, name, breaker: new CircuitBreaker(breakerOptions) };
+  } catch (error) {
+    logger.warn('Failed to initialize synthesis model', { provider: providerId, model: name, message: error.message });
+    return null;
+  }
+}
+
+// The usable synthesis models, in order; empty when none can take part
+function createModelChain(env = process.env) {
+  const breakerOptions = {
+    threshold: readNumber(env.CIRCUIT_BREAKER_THRESHOLD, 3) || 1,
+    cooldownMs: readNumber(env.CIRCUIT_BREAKER_COOLDOWN_MS, 60000)
+  };
+  const models = parseModelChain(env.SYNTHESIS_MODELS || DEFAULT_SYNTHESIS_MODELS)
+    .map(entry => createSynthesisModel(entry, breakerOptions))
+    .filter(Boolean);
+
+  if (models.length === 0) {
+    logger.warn('No synthesis model available - strategies that need one will use their fallbacks');
+  } else {
+    logger.info('Synthesis models', { models: models.map(model => `${model.provider}:${model.name}`) });
+  }
+  return models;
+}
+
+// The chain for /api/models and cache keys: [{ provider, model, circuit }]
+function describeModelChain(models) {
+  return models.map(model => ({ provider: model.provider, model: model.name, circuit: model.breaker.describe().state }));
+}
+
+module.exports = { parseModelChain, createModelChain, describeModelChain };
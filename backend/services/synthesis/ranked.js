@@ -0,0 +1,96 @@
+// backend/services/synthesis/ranked.js
+//
+// Ranked list: every answer, best first, each with a justification of its
+// place. The synthesis model ranks them; without it they are ranked by how
+// much the other models back them (see rankByAgreement).
+const { PromptTemplate } = require('@langchain/core/prompts');
+const { z } = require('zod');
+const { rankByAgreement } = require('./answers');
+const { invokeStructured } = require('./modelCall');
+
+const prompt = PromptTemplate.fromTemplate(`
+You are ranking answers that several AI models gave to the same query.
+
+Conversation So Far:
+{conversation_history}
+
+Original User Query: {query}
+
+Answers, each labelled with its id in brackets:
+{model_responses}
+
+Rank every answer from best to worst by accuracy, completeness and helpfulness, and justify each place in one sentence.
+
+{format_instructions}
+`);
+
+function getSchemas(providers) {
+  const answer = z.enum(providers.map(provider => provider.id)).describe('Id of the answer');
+  return {
+    schema: z.object({
+      ranking: z.array(z.object({
+        answer,
+        justification: z.string().describe('Why the answer has this place'),
+      })).describe('Every answer, best first'),
+    }),
+    // Entries that don't name an answer are dropped; answers left out are
+    // ranked last anyway
+    lenientSchema: z.object({
+      ranking: z.array(z.object({ answer, justification: z.string().catch('') }).nullable().catch(null))
+        .transform(entries => entries.filter(Boolean))
+        .refine(entries => entries.length > 0, 'ranks no answer'),
+    }),
+  };
+}
+
+// The answer text and details from [{ provider, justification }], best first
+function toResult(context, ranking, reasoning) {
+  return {
+    answer: ranking
+      .map(({ provider, justification }, i) =>
+        `**${i + 1}. ${provider.displayName}** - ${justification}\n\n${context.responses[provider.id]}`)
+      .join('\n\n'),
+    reasoning,
+    details: {
+      ranking: ranking.map(({ provider, justification }, i) => ({ provider: provider.id, rank: i + 1, justification })),
+    },
+    citations: false,
+  };
+}
+
+async function synthesize(context) {
+  const { data, usage } = await invokeStructured(context, prompt, getSchemas(context.providers));
+
+  // Each answer once, in the model's order; any it left out go last
+  const ranking = [];
+  data.ranking.forEach(({ answer, justification }) => {
+    if (!ranking.some(entry => entry.provider.id === answer)) {
+      ranking.push({
+        provider: context.providers.find(provider => provider.id === answer),
+        justification: justification || 'No justification given'
+      });
+    }
+  });
+  context.providers
+    .filter(provider => !ranking.some(entry => entry.provider === provider))
+    .forEach(provider => ranking.push({ provider, justification: 'Not ranked by the synthesis model' }));
+
+  return { ...toResult(context, ranking, `${ranking.length} answers ranked by the synthesis model`), usage };
+}
+
+function fallback(context) {
+  const ranking = rankByAgreement(context).map(({ provider, shared, total }) => ({
+    provider,
+    justification: `${shared} of its ${total} claims are backed by another model`
+  }));
+  return toResult(context, ranking, 'AI ranking unavailable - answers ranked by how much the other models back them');
+}
+
+module.exports = {
+  id: 'ranked',
+  label: 'Ranked list',
+  description: 'Every answer, best first, each with a justification of its place',
+  usesModel: true,
+  synthesize,
+  fallback
+};
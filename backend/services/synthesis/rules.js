@@ -0,0 +1,194 @@
+// backend/services/synthesis/rules.js
+//
+// Rule-based synthesis, without a model, in three tiers by how similar the
+// answers are:
+//   70%+    consensus   - the longest answer, plus details only others give
+//   30-70%  balanced    - insights several models share, and where they
+//                         contradict each other
+//   <30%    comparative - the key points of each answer
+// Code is never split into sentences. When the answers have code, the best
+// snippet (see codeBlocks.js) is shown whole, with the other approaches.
+const { getDisplayName } = require('../../providers');
+const { textSimilarity } = require('../textSimilarity');
+const { statementSpans } = require('../claimExtraction');
+const { extractCodeBlocks } = require('../codeBlocks');
+const { formatBestCode } = require('./answers');
+
+// Sentences of the prose, not of code blocks
+function splitIntoSentences(text) {
+  return statementSpans(text).map(span => span.text).filter(s => s.length > 10);
+}
+
+function extractKeyPoints(text) {
+  const sentences = splitIntoSentences(text);
+  const keyPoints = [];
+  
+  sentences.forEach(sentence => {
+    const indicators = ['recommend', 'suggest', 'important', 'key', 'should', 'best', 'main', 'first', 'consider'];
+    const hasIndicator = indicators.some(indicator => 
+      sentence.toLowerCase().includes(indicator)
+    );
+    
+    if (hasIndicator && sentence.length > 30 && sentence.length < 200) {
+      keyPoints.push(sentence.trim());
+    }
+  });
+  
+  return keyPoints.slice(0, 3);
+}
+
+function extractUniqueDetails(baseResponse, allResponses) {
+  const baseSentences = splitIntoSentences(baseResponse.text);
+  const uniqueDetails = [];
+  
+  allResponses.forEach(response => {
+    if (response.source === baseResponse.source) return;
+    
+    const sentences = splitIntoSentences(response.text);
+    sentences.forEach(sentence => {
+      // Check if this sentence adds unique information
+      const isUnique = !baseSentences.some(baseSentence => 
+        textSimilarity(sentence, baseSentence) > 0.7
+      );
+      
+      if (isUnique && sentence.length > 20 && sentence.length < 150) {
+        uniqueDetails.push(`${response.source}: ${sentence.trim()}`);
+      }
+    });
+  });
+  
+  return uniqueDetails.slice(0, 3);
+}
+
+// Claims more than one model makes, most supported first (see claimMap.js)
+function findCommonThemes(claims) {
+  return claims
+    .filter(claim => claim.providers.length > 1)
+    .map(claim => claim.statement)
+    .slice(0, 4);
+}
+
+// Contradicting statements as "<model> says ... while <model> says ..."
+function findDisagreements(contradictions) {
+  return contradictions.slice(0, 2).map(({ statements: [a, b] }) =>
+    `${getDisplayName(a.provider)} says "${a.text}" while ${getDisplayName(b.provider)} says "${b.text}"`
+  );
+}
+
+function synthesize(context) {
+  const { responses, similarity, claims, contradictions, code } = context;
+  const validResponses = Object.entries(responses).map(([id, text]) => ({
+    id,
+    source: getDisplayName(id),
+    text,
+    length: text.length
+  }));
+  
+  // High overlap synthesis (70%+ similarity)
+  if (similarity.score >= 70) {
+    const baseResponse = validResponses.reduce((longest, current) => 
+      current.length > longest.length ? current : longest
+    );
+    
+    const uniqueDetails = extractUniqueDetails(baseResponse, validResponses);
+    
+    let synthesizedText = baseResponse.text;
+
+    // The answers agree, but the code may be in another one
+    if (code && extractCodeBlocks(baseResponse.text).length === 0) {
+      synthesizedText += `\n\n${formatBestCode(context)}`;
+    }
+    
+    if (uniqueDetails.length > 0) {
+      synthesizedText += "\n\n**Additional insights:**\n" + uniqueDetails.map(detail => `• ${detail}`).join("\n");
+    }
+    
+    return {
+      confidence: "high",
+      confidenceScore: similarity.score,
+      answer: synthesizedText,
+      reasoning: `${validResponses.length} models provided similar answers (${similarity.score}% agreement)`,
+      details: { tier: 'consensus' }
+    };
+  }
+  
+  // Medium overlap synthesis (30-70% similarity)
+  else if (similarity.score >= 30) {
+    const commonThemes = findCommonThemes(claims);
+    const disagreements = findDisagreements(contradictions);
+    
+    let synthesizedText = "**Based on multiple AI perspectives:**\n\n";
+    
+    if (commonThemes.length > 0) {
+      synthesizedText += "**Common insights:**\n";
+      commonThemes.forEach(theme => {
+        synthesizedText += `• ${theme}\n`;
+      });
+    }
+    
+    if (disagreements.length > 0) {
+      synthesizedText += "\n**Different perspectives:**\n";
+      disagreements.forEach(disagreement => {
+        synthesizedText += `• ${disagreement}\n`;
+      });
+    }
+
+    if (code) {
+      synthesizedText += `\n${formatBestCode(context)}\n`;
+    }
+    
+    return {
+      confidence: "medium",
+      confidenceScore: similarity.score,
+      answer: synthesizedText,
+      reasoning: `Models showed ${similarity.score}% agreement with notable differences`,
+      details: { tier: 'balanced' }
+    };
+  }
+  
+  // Low overlap synthesis (<30% similarity)
+  else {
+    let synthesizedText = "**Different AI models suggest distinct approaches:**\n\n";
+    
+    validResponses.forEach((response) => {
+      const keyPoints = extractKeyPoints(response.text);
+      synthesizedText += `**${response.source} approach:**\n`;
+      if (keyPoints.length > 0) {
+        keyPoints.forEach(point => {
+          synthesizedText += `• ${point}\n`;
+        });
+      } else {
+        // Fallback to first sentence if no key points found
+        const firstSentence = splitIntoSentences(response.text)[0];
+        if (firstSentence) {
+          synthesizedText += `• ${firstSentence}\n`;
+        }
+      }
+      synthesizedText += "\n";
+    });
+
+    if (code) {
+      synthesizedText += `${formatBestCode(context)}\n\n`;
+    }
+    
+    synthesizedText += code
+      ? "**Recommendation:** Start from one complete snippet rather than combining pieces of different ones, and adapt it to your specific context."
+      : "**Recommendation:** Consider combining elements from multiple approaches based on your specific context.";
+    
+    return {
+      confidence: "low",
+      confidenceScore: similarity.score,
+      answer: synthesizedText,
+      reasoning: `Models provided significantly different approaches (${similarity.score}% agreement)`,
+      details: { tier: 'comparative' }
+    };
+  }
+}
+
+module.exports = {
+  id: 'rules',
+  label: 'Rule-based',
+  description: 'Without a model: the longest answer, shared insights or each answer\'s key points, by how much the answers agree',
+  usesModel: false,
+  synthesize
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+// backend/services/synthesis/sideBySide.js
+//
+// Raw side by side: every answer unchanged under its model's name.
+const { formatSideBySide } = require('./answers');
+
+function synthesize(context) {
+  return {
+    answer: formatSideBySide(context),
+    reasoning: `Showing all ${context.similarity.validCount} answers side by side`,
+    details: { modelContributions: context.responses },
+    citations: false,
+  };
+}
+
+module.exports = {
+  id: 'side-by-side',
+  label: 'Side by side',
+  description: 'Every answer unchanged, under its model\'s name',
+  usesModel: false,
+  synthesize
+};
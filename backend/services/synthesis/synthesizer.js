@@ -0,0 +1,177 @@
+// backend/services/synthesis/synthesizer.js
+//
+// Runs a synthesis strategy (see index.js) over the genuine model answers
+// and builds the `synthesis` of the aggregate response around its result:
+// confidence, sources, inline citations, claim map, contradictions and the
+// strategy id as `approach`. Strategies get a context of:
+//   query, history   - the request's prompt and conversation so far
+//   responses        - answer text by provider id, genuine answers only
+//   providers        - the registered providers that answered, in order
+//   similarity       - { score, validCount }, score being the answers'
+//                      average similarity in percent
+//   claims           - the answers' clustered claims (claimMap.js)
+//   contradictions   - statements the answers conflict on (contradictions.js)
+//   code             - how the answers' code compares, null without code
+//                      (codeBlocks.js)
+//   model            - the synthesis model (see modelCall.js), for
+//                      strategies that use one
+//   strategy         - the strategy's id
+//   signal           - aborted when the aggregation is cancelled
+//   onDelta          - streaming only, called with each new piece of answer
+//   onRestart        - streaming only, called before the answer so far is
+//                      replaced by starting over
+// With fewer than two answers there is nothing to combine, so no strategy
+// runs. Strategies that use a model try the synthesis models in order (see
+// modelChain.js) until one succeeds, and fall back to answering without one.
+const { getProviders } = require('../../providers');
+const { confidenceFromScore } = require('../aggregateResponse');
+const { averageSimilarity } = require('../textSimilarity');
+const { clusterClaims, buildClaimMap } = require('../claimMap');
+const { findContradictions } = require('../contradictions');
+const { compareCode } = require('../codeBlocks');
+const { citeAnswer } = require('../citations');
+const { recordSynthesis } = require('../metrics');
+const { logger } = require('../logger');
+const { getStrategy } = require('./index');
+
+// Agreement tier of a synthesis by its confidence, for strategies that don't
+// report one - the tiers of the rule-based synthesis (rules.js)
+const TIER_BY_CONFIDENCE = { high: 'consensus', medium: 'balanced', low: 'comparative' };
+
+class Synthesizer {
+  constructor({ models = [], defaultStrategy }) {
+    this.models = models;
+    this.defaultStrategy = defaultStrategy;
+  }
+
+  // Runs a model strategy with each synthesis model in turn. Resolves to
+  // { result, model }, with a null model when none is available or all of
+  // them failed. `onRestart` is called before a model takes over from one
+  // that failed after streaming part of its answer.
+  async runWithModels(strategy, context, { onDelta, onRestart }) {
+    for (const model of this.models) {
+      if (!model.breaker.allowRequest()) continue;
+
+      let streamed = false;
+      try {
+        const modelContext = { ...context, model };
+        const result = onDelta && strategy.stream
+          ? await strategy.stream({ ...modelContext, onDelta: delta => { streamed = true; onDelta(delta); }, onRestart })
+          : await strategy.synthesize(modelContext);
+        model.breaker.recordSuccess();
+        return { result, model };
+      } catch (error) {
+        if (context.signal?.aborted) {
+          model.breaker.releaseTrial();
+          context.signal.throwIfAborted();
+        }
+        model.breaker.recordFailure();
+        logger.warn('Synthesis model failed - trying the next one', {
+          strategy: strategy.id, provider: model.provider, model: model.name, error
+        });
+        if (streamed) onRestart?.();
+      }
+    }
+    return { result: null, model: null };
+  }
+
+  // Resolves to the synthesis. Aborting `signal` stops a model call and
+  // rejects with its reason; when no synthesis model succeeds the strategy
+  // answers without one.
+  async synthesize({
+    strategy: strategyId = this.defaultStrategy, query, responses, history = [], signal, onDelta, onRestart
+  }) {
+    const startTime = Date.now();
+    const strategy = getStrategy(strategyId);
+    const answered = Object.fromEntries(Object.entries(responses).filter(([, text]) => text));
+    const providers = getProviders().filter(provider => provider.id in answered);
+    const validCount = providers.length;
+    const similarity = {
+      score: validCount < 2 ? 0 : Math.round(averageSimilarity(Object.values(answered)) * 100),
+      validCount
+    };
+    const claims = clusterClaims(answered);
+    const contradictions = findContradictions(answered);
+    const code = compareCode(answered, providers);
+
+    const context = {
+      query, history, responses: answered, providers, similarity, claims, contradictions, code, strategy: strategy.id, signal
+    };
+
+    let result;
+    let model = null;
+    let outcome = 'ok';
+    if (validCount === 0) {
+      outcome = 'error';
+      result = {
+        answer: 'Unable to get responses from AI models at this time. Please try again later.',
+        confidenceScore: 0,
+        reasoning: 'No model returned a genuine answer'
+      };
+    } else if (validCount === 1) {
+      outcome = 'single';
+      result = {
+        answer: answered[providers[0].id],
+        confidenceScore: 50,
+        reasoning: 'Only one model returned a genuine answer'
+      };
+    } else if (!strategy.usesModel) {
+      result = await strategy.synthesize(context);
+    } else {
+      ({ result, model } = await this.runWithModels(strategy, context, { onDelta, onRestart }));
+      if (!model) {
+        if (this.models.length > 0) {
+          logger.error('No synthesis model succeeded - using fallback synthesis', { strategy: strategy.id });
+        }
+        outcome = 'fallback';
+        result = await strategy.fallback(context);
+      }
+    }
+
+    // Answers shown as the models wrote them, under their names, cite nothing
+    const cited = validCount >= 2 && result.citations !== false
+      ? citeAnswer(result.answer, context)
+      : { answer: result.answer, plain: result.answer, citations: [] };
+
+    // Only a streaming strategy that ran to the end has sent its answer
+    if (onDelta && !(strategy.stream && outcome === 'ok')) {
+      onDelta(cited.answer);
+    }
+
+    const confidenceScore = result.confidenceScore ?? similarity.score;
+    const synthesis = {
+      answer: cited.answer,
+      plainAnswer: cited.plain,
+      confidence: result.confidence || confidenceFromScore(confidenceScore),
+      confidenceScore,
+      approach: strategy.id,
+      reasoning: result.reasoning,
+      sourcesUsed: providers.map(provider => provider.id),
+      details: {
+        ...result.details,
+        validModels: validCount,
+        similarityScore: similarity.score,
+        fallback: outcome === 'fallback',
+        ...(model && { synthesisModel: { provider: model.provider, model: model.name } }),
+        ...(code && {
+          code: { best: code.best.provider, language: code.best.language, approaches: code.approaches, similarity: code.similarity }
+        }),
+      },
+      citations: cited.citations,
+      claimMap: buildClaimMap(claims, cited.plain),
+      contradictions,
+      usage: result.usage || null,
+    };
+
+    recordSynthesis({
+      strategy: strategy.id,
+      outcome,
+      tier: validCount >= 2 ? synthesis.details.tier || TIER_BY_CONFIDENCE[synthesis.confidence] : 'none',
+      confidenceScore: synthesis.confidenceScore,
+      durationMs: Date.now() - startTime
+    });
+    return synthesis;
+  }
+}
+
+module.exports = Synthesizer;
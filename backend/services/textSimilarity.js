@@ -0,0 +1,144 @@
+// backend/services/textSimilarity.js
+//
+// Local text similarity shared by both synthesizers: texts are tokenized
+// (lowercased, stop words dropped, Porter-stemmed), weighted by TF-IDF and
+// compared by cosine similarity. Scores run from 0 (no terms in common) to
+// 1 (same weighted terms). IDF is computed over the texts being compared,
+// so terms every response uses - the question's own words - count less
+// than the ones only some of them share.
+//
+// Terms a negation governs are kept apart from the plain ones: in "it does
+// not return a promise" they are "!return" and "!promis", so a statement
+// and its denial share little more than their subject.
+const { stem } = require('./porterStemmer');
+
+// Texts from this similarity up say much the same thing
+const AGREEMENT_THRESHOLD = 0.5;
+
+// Function words that say nothing about content. Negations are left out on
+// purpose: "is safe" and "is not safe" should not read as the same.
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during',
+  'each', 'either', 'etc', 'few', 'for', 'from', 'further',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'however',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'let', 'like',
+  'may', 'me', 'might', 'more', 'most', 'much', 'must', 'my', 'myself',
+  'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own',
+  'same', 'she', 'should', 'so', 'some', 'such',
+  'than', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those',
+  'through', 'thus', 'to', 'too', 'under', 'until', 'up', 'upon', 'us', 'use', 'used', 'using',
+  'very', 'via', 'was', 'we', 'were', 'what', 'when', 'where', 'whether', 'which', 'while', 'who', 'whom', 'why',
+  'will', 'with', 'within', 'would', 'yet', 'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+// A negation governs the rest of its clause
+const CLAUSE_BREAK = /[.,;:!?()\n]+/;
+
+// Matched against tokens, which have their apostrophes removed ("isnt")
+const NEGATIONS = new Set([
+  'no', 'not', 'never', 'none', 'nor', 'neither', 'nothing', 'without', 'cannot',
+  'isnt', 'arent', 'wasnt', 'werent', 'dont', 'doesnt', 'didnt', 'cant', 'couldnt',
+  'shouldnt', 'wont', 'wouldnt', 'hasnt', 'havent', 'hadnt', 'mustnt'
+].map(stem));
+
+// Content terms of a text, stemmed: "The servers are caching responses"
+// gives ['server', 'cach', 'respons']
+function tokenize(text) {
+  if (!text) return [];
+  const words = text.toLowerCase().replace(/['’]/g, '').match(WORD_PATTERN) || [];
+  return words
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(word => (/^[a-z]+$/.test(word) ? stem(word) : word));
+}
+
+function countTerms(tokens) {
+  const counts = new Map();
+  tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+}
+
+// Terms of a text for comparing it: its tokens, those after a negation in
+// the same clause marked with "!" and the negations themselves left out
+function similarityTerms(text) {
+  if (!text) return [];
+  return text.split(CLAUSE_BREAK).flatMap(clause => {
+    let negated = false;
+    return tokenize(clause).flatMap(token => {
+      if (NEGATIONS.has(token)) {
+        negated = true;
+        return [];
+      }
+      return [negated ? `!${token}` : token];
+    });
+  });
+}
+
+// One TF-IDF vector (term -> weight) per text. The smoothed IDF keeps terms
+// found in every text above zero, so two texts still compare when they are
+// the whole corpus.
+function tfidfVectors(texts) {
+  return weighTerms(texts.map(similarityTerms));
+}
+
+// Same as tfidfVectors, for texts already split into terms
+function weighTerms(termLists) {
+  const termCounts = termLists.map(countTerms);
+  const documentFrequency = new Map();
+  termCounts.forEach(counts => {
+    counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  const total = termLists.length;
+  return termCounts.map(counts => {
+    const vector = new Map();
+    counts.forEach((count, term) => {
+      const idf = Math.log((1 + total) / (1 + documentFrequency.get(term))) + 1;
+      vector.set(term, count * idf);
+    });
+    return vector;
+  });
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  a.forEach((weight, term) => {
+    if (b.has(term)) dot += weight * b.get(term);
+  });
+  const norm = vector => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator === 0 ? 0 : dot / denominator;
+}
+
+function textSimilarity(text1, text2) {
+  const [a, b] = tfidfVectors([text1, text2]);
+  return cosineSimilarity(a, b);
+}
+
+// Mean similarity over every pair of texts, IDF taken across all of them;
+// 0 for fewer than two texts
+function averageSimilarity(texts) {
+  const vectors = tfidfVectors(texts);
+  let total = 0;
+  let pairs = 0;
+  for (let i = 0; i < vectors.length; i++) {
+    for (let j = i + 1; j < vectors.length; j++) {
+      total += cosineSimilarity(vectors[i], vectors[j]);
+      pairs++;
+    }
+  }
+  return pairs > 0 ? total / pairs : 0;
+}
+
+module.exports = {
+  AGREEMENT_THRESHOLD,
+  NEGATIONS,
+  tokenize,
+  tfidfVectors,
+  weighTerms,
+  cosineSimilarity,
+  textSimilarity,
+  averageSimilarity
+};
@@ -0,0 +1,67 @@
+// backend/services/usage.js
+//
+// Token usage and cost estimates. Provider calls report raw usage as
+//   { inputTokens, outputTokens }
+// and the aggregate response prices it per model:
+//   { inputTokens, outputTokens, costUsd }
+// Prices are USD per million tokens, taken from the provider module's
+// `pricing` table and overridable with MODEL_PRICES, a JSON object such as
+//   { "gpt-4o": { "input": 2.5, "output": 10 }, "llama3.1": { "input": 0, "output": 0 } }
+// costUsd is null when the model has no known price. Totals (sumUsage) add
+// up the known prices and flag `unpriced` when any call had none, so their
+// costUsd is then only part of the cost.
+const { getProvider } = require('../providers');
+const { createUsage } = require('./providerResult');
+const { logger } = require('./logger');
+
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+function loadPriceOverrides(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    logger.warn('MODEL_PRICES is not valid JSON - ignoring it', { message: error.message });
+    return {};
+  }
+}
+
+const priceOverrides = loadPriceOverrides(process.env.MODEL_PRICES);
+
+function getPrice(providerId, model) {
+  return priceOverrides[model] || getProvider(providerId)?.pricing?.[model] || null;
+}
+
+// Usage of a LangChain AIMessage (or the concatenation of streamed chunks)
+function usageFromMessage(message) {
+  const metadata = message?.usage_metadata;
+  if (metadata) return createUsage(metadata.input_tokens, metadata.output_tokens);
+  const tokenUsage = message?.response_metadata?.tokenUsage;
+  return tokenUsage ? createUsage(tokenUsage.promptTokens, tokenUsage.completionTokens) : null;
+}
+
+function priceUsage(providerId, model, usage) {
+  if (!usage) return null;
+  const price = getPrice(providerId, model);
+  const costUsd = price
+    ? (usage.inputTokens * price.input + usage.outputTokens * price.output) / TOKENS_PER_PRICE_UNIT
+    : null;
+  return { ...usage, costUsd };
+}
+
+// Totals of priced usages or of other totals; calls without a known price add
+// tokens but no cost, and mark the total `unpriced`
+function sumUsage(usages) {
+  return usages.filter(Boolean).reduce((total, usage) => ({
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens,
+    costUsd: total.costUsd + (usage.costUsd || 0),
+    unpriced: total.unpriced || usage.costUsd == null || usage.unpriced === true
+  }), { inputTokens: 0, outputTokens: 0, costUsd: 0, unpriced: false });
+}
+
+module.exports = {
+  usageFromMessage,
+  priceUsage,
+  sumUsage
+};
@@ -0,0 +1,64 @@
+// backend/test/claimMap.test.js
+//
+// Clustering of claims across answers and tracing the synthesized answer's
+// statements back to them
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { clusterClaims, buildClaimMap } = require('../services/claimMap');
+
+const STUB_ANSWER = 'This is a stub answer from a local model. You asked: "How do I read a file?". '
+  + 'The conversation so far has 1 user turn. A real local model would answer the question here.';
+
+test('paraphrased claims from different answers cluster together', () => {
+  const claims = clusterClaims({
+    openai: 'Caching stores copies of responses so later requests are served faster.',
+    anthropic: 'A cache keeps copies of responses, so later requests get served faster.',
+    google: 'The Eiffel Tower is located in Paris, France.',
+  });
+  assert.deepEqual(claims[0].providers, ['openai', 'anthropic']);
+  assert.equal(claims[0].support, 'some');
+  assert.deepEqual(claims[1].providers, ['google']);
+  assert.equal(claims[1].support, 'one');
+});
+
+test('two claims of the same answer never share a cluster', () => {
+  const claims = clusterClaims({
+    openai: 'Caching stores copies of responses so later requests are served faster. '
+      + 'A cache keeps copies of responses, so later requests get served faster.',
+    anthropic: 'The Eiffel Tower is located in Paris, France.',
+  });
+  assert.equal(claims.length, 3);
+  claims.forEach(claim => assert.equal(claim.providers.length, 1));
+});
+
+test('sentences sharing a few words are neither clustered nor traced to each other', () => {
+  const claims = clusterClaims({ a: STUB_ANSWER, b: STUB_ANSWER });
+  assert.equal(claims.length, 4);
+  claims.forEach(claim => assert.equal(claim.support, 'all'));
+
+  const { statements } = buildClaimMap(claims, STUB_ANSWER);
+  statements.forEach(statement => {
+    assert.equal(claims[statement.claim].statement, statement.text);
+  });
+});
+
+test('contradicting claims are not clustered', () => {
+  const claims = clusterClaims({
+    openai: 'The function returns a promise in every case.',
+    anthropic: 'The function does not return a promise in every case.',
+  });
+  assert.equal(claims.length, 2);
+});
+
+test('statements no model makes trace to no claim', () => {
+  const claims = clusterClaims({
+    openai: 'Caching stores copies of responses so later requests are served faster.',
+    anthropic: 'A cache keeps copies of responses, so later requests get served faster.',
+  });
+  const { statements } = buildClaimMap(claims, 'Caches keep copies of responses so later requests are served faster. '
+    + 'Paris is the capital of France and its largest city.');
+  assert.equal(statements[0].claim, 0);
+  assert.deepEqual(statements[0].providers, ['openai', 'anthropic']);
+  assert.equal(statements[1].claim, null);
+  assert.equal(statements[1].support, null);
+});
@@ -0,0 +1,69 @@
+// backend/test/codeBlocks.test.js
+//
+// Code block extraction and the structural comparison of snippets
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractCodeBlocks, removeCodeBlocks, codeFeatures, compareCode } = require('../services/codeBlocks');
+const { formatBestCode } = require('../services/synthesis/answers');
+
+const providers = [
+  { id: 'openai', displayName: 'OpenAI' },
+  { id: 'anthropic', displayName: 'Anthropic' },
+  { id: 'google', displayName: 'Google' },
+];
+
+const fence = (language, code) => `\`\`\`${language}\n${code}\n\`\`\``;
+
+test('code blocks are extracted whole and removed from the prose', () => {
+  const text = `Call obj.method() first.\n\n${fence('js', 'const a = obj.method();\nconsole.log(a.b.c);')}\n\nThen you are done.`;
+  const [block] = extractCodeBlocks(text);
+  assert.equal(block.language, 'js');
+  assert.equal(block.code, 'const a = obj.method();\nconsole.log(a.b.c);');
+  assert.equal(text.slice(block.start, block.end), fence('js', block.code));
+  assert.equal(removeCodeBlocks(text), 'Call obj.method() first.\n\n\n\nThen you are done.');
+});
+
+test('a code block left open runs to the end of the text', () => {
+  const [block] = extractCodeBlocks('Here:\n```py\nprint(1)');
+  assert.equal(block.code, 'print(1)');
+});
+
+test('printing and logging are not features of a snippet', () => {
+  assert.deepEqual([...codeFeatures('print(nums[::-1])')], []);
+  assert.deepEqual([...codeFeatures('console.log(items.reverse());')], ['call:reverse']);
+  assert.deepEqual([...codeFeatures('System.out.println(list.size());')], ['call:size']);
+});
+
+test('slicing and reverse() are different approaches, though both print', () => {
+  const code = compareCode({
+    openai: fence('python', 'nums = [1, 2, 3]\nprint(nums[::-1])'),
+    anthropic: fence('python', 'nums = [1, 2, 3]\nnums.reverse()\nprint(nums)'),
+  }, providers.slice(0, 2));
+  assert.equal(code.approaches.length, 2);
+  assert.doesNotMatch(formatBestCode({ code, providers }), /same approach/);
+});
+
+test('snippets making the same calls take the same approach', () => {
+  const code = compareCode({
+    openai: fence('javascript', "const fs = require('fs');\nasync function load(path) {\n  return JSON.parse(await fs.promises.readFile(path, 'utf8'));\n}"),
+    anthropic: fence('js', "const { readFile } = require('fs/promises');\nasync function loadConfig(file) {\n  return JSON.parse(await readFile(file, 'utf8'));\n}"),
+    google: fence('js', "const config = JSON.parse(require('fs').readFileSync('config.json', 'utf8'));\nconsole.log(config);"),
+  }, providers);
+  assert.deepEqual(code.approaches.map(approach => approach.providers), [['openai', 'anthropic'], ['google']]);
+  assert.deepEqual(code.approaches[0].calls, ['parse', 'readFile']);
+  assert.equal(code.best.provider, 'openai');
+  assert.match(formatBestCode({ code, providers }), /same approach: Anthropic/);
+});
+
+test('snippets in different languages never take the same approach', () => {
+  const code = compareCode({
+    openai: fence('python', 'data = json.loads(text)'),
+    anthropic: fence('js', 'const data = JSON.parse(text);'),
+  }, providers.slice(0, 2));
+  assert.equal(code.approaches.length, 2);
+  assert.equal(code.similarity, 0);
+});
+
+test('no code in any answer gives no comparison', () => {
+  assert.equal(compareCode({ openai: 'Paris.', anthropic: 'Paris, France.' }, providers.slice(0, 2)), null);
+});
@@ -0,0 +1,53 @@
+// backend/test/metrics.test.js
+//
+// Synthesis metrics: syntheses are counted by strategy, outcome and the
+// agreement tier of the answers
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { registry } = require('../services/metrics');
+const Synthesizer = require('../services/synthesis/synthesizer');
+
+const AGREEING = {
+  openai: 'Use a hash map to count the words. It keeps every lookup constant time.',
+  anthropic: 'Use a hash map to count the words. It keeps every lookup constant time, too.',
+};
+const DIFFERING = {
+  openai: 'The Eiffel Tower is located in Paris and was finished in 1889.',
+  anthropic: 'Photosynthesis turns sunlight, water and carbon dioxide into sugar.',
+};
+
+// Current value of aggregator_synthesis_total for the given labels
+function synthesisCount({ strategy, outcome, tier }) {
+  const series = `aggregator_synthesis_total{strategy="${strategy}",outcome="${outcome}",tier="${tier}"} `;
+  const line = registry.render().split('\n').find(entry => entry.startsWith(series));
+  return line ? Number(line.slice(series.length)) : 0;
+}
+
+test('rule-based syntheses are counted by the tier they chose', async () => {
+  const synthesizer = new Synthesizer({ defaultStrategy: 'rules' });
+  const consensus = { strategy: 'rules', outcome: 'ok', tier: 'consensus' };
+  const comparative = { strategy: 'rules', outcome: 'ok', tier: 'comparative' };
+  const before = { consensus: synthesisCount(consensus), comparative: synthesisCount(comparative) };
+
+  const agreeing = await synthesizer.synthesize({ query: 'Count words', responses: AGREEING });
+  assert.equal(agreeing.details.tier, 'consensus');
+  const differing = await synthesizer.synthesize({ query: 'Tell me something', responses: DIFFERING });
+  assert.equal(differing.details.tier, 'comparative');
+
+  assert.equal(synthesisCount(consensus), before.consensus + 1);
+  assert.equal(synthesisCount(comparative), before.comparative + 1);
+});
+
+test('model strategies are counted by the tier of their confidence, single answers by none', async () => {
+  const synthesizer = new Synthesizer({ defaultStrategy: 'merge' });
+  const fallback = { strategy: 'merge', outcome: 'fallback', tier: 'comparative' };
+  const single = { strategy: 'merge', outcome: 'single', tier: 'none' };
+  const before = { fallback: synthesisCount(fallback), single: synthesisCount(single) };
+
+  const merged = await synthesizer.synthesize({ query: 'Tell me something', responses: DIFFERING });
+  assert.equal(merged.confidence, 'low');
+  await synthesizer.synthesize({ query: 'Tell me something', responses: { openai: DIFFERING.openai } });
+
+  assert.equal(synthesisCount(fallback), before.fallback + 1);
+  assert.equal(synthesisCount(single), before.single + 1);
+});
@@ -0,0 +1,24 @@
+// backend/test/openaiCompatible.test.js
+//
+// Loading OpenAI-compatible providers from the environment
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadOpenAICompatibleProviders } = require('../providers/openaiCompatible');
+
+const STUB = { id: 'stub', baseUrl: 'http://localhost:8089/v1', model: 'stub-model' };
+
+test('incomplete LOCAL_PROVIDERS entries are skipped and the rest registered', () => {
+  const providers = loadOpenAICompatibleProviders({
+    LOCAL_PROVIDERS: JSON.stringify([{ id: 'no-model', baseUrl: 'http://localhost:11434/v1' }, null, STUB]),
+  });
+  assert.deepEqual(providers.map(provider => provider.id), ['stub']);
+});
+
+test('LOCAL_PROVIDERS that is not JSON is ignored', () => {
+  const providers = loadOpenAICompatibleProviders({
+    LOCAL_PROVIDERS: '[{ id: stub }',
+    LOCAL_MODEL_BASE_URL: STUB.baseUrl,
+    LOCAL_MODEL_NAME: STUB.model,
+  });
+  assert.deepEqual(providers.map(provider => provider.id), ['local']);
+});
@@ -0,0 +1,78 @@
+// backend/test/rateLimiter.test.js
+//
+// Admin-only endpoints behind the configured API keys, and when aggregation
+// requests are charged against the provider call quota
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../middleware/rateLimiter');
+
+const API_KEYS = JSON.stringify({ 'team-key': { name: 'team' }, 'ops-key': { name: 'ops', admin: true } });
+
+// Runs `middleware` on a request with the given X-API-Key; resolves to the
+// status it answered with, or 'next' when it let the request through
+function run(middleware, apiKey) {
+  return new Promise(resolve => {
+    const req = { path: '/api/cache', ip: '127.0.0.1', get: name => (name === 'X-API-Key' ? apiKey : undefined) };
+    const res = {
+      status: code => ({ json: () => resolve(code) }),
+      set: () => {},
+    };
+    middleware(req, res, () => resolve('next'));
+  });
+}
+
+test('only admin API keys pass requireAdmin', async () => {
+  const requireAdmin = createRateLimiter({ RATE_LIMIT_API_KEYS: API_KEYS }).requireAdmin();
+  assert.equal(await run(requireAdmin, 'ops-key'), 'next');
+  assert.equal(await run(requireAdmin, 'team-key'), 403);
+  assert.equal(await run(requireAdmin, 'made-up-key'), 401);
+  assert.equal(await run(requireAdmin, undefined), 401);
+});
+
+test('requireAdmin applies with rate limiting disabled', async () => {
+  const requireAdmin = createRateLimiter({ RATE_LIMIT_ENABLED: 'false', RATE_LIMIT_API_KEYS: API_KEYS }).requireAdmin();
+  assert.equal(await run(requireAdmin, undefined), 401);
+  assert.equal(await run(requireAdmin, 'ops-key'), 'next');
+});
+
+test('without admin keys configured nobody passes requireAdmin', async () => {
+  const requireAdmin = createRateLimiter({}).requireAdmin();
+  assert.equal(await run(requireAdmin, undefined), 401);
+});
+
+const CLIENT = { path: '/api/aggregate', ip: '127.0.0.1', get: () => undefined };
+
+// Runs the limit middleware on a request from CLIENT; resolves to the request
+// once it is let through
+function pass(middleware) {
+  return new Promise((resolve, reject) => {
+    const req = { ...CLIENT };
+    const res = { status: code => ({ json: () => reject(new Error(`Answered ${code}`)) }), set: () => {}, headersSent: false };
+    middleware(req, res, () => resolve(req));
+  });
+}
+
+const remainingCalls = limiter => limiter.getBuckets(limiter.identify(CLIENT)).providerCalls.remaining();
+
+test('deferred provider calls are only charged once the route makes them', async () => {
+  const limiter = createRateLimiter({ MAX_PROVIDER_CALLS_PER_DAY: '10' });
+  const limit = limiter.limit(() => 3, { deferred: true });
+
+  // Answered from the cache: nothing charged
+  await pass(limit);
+  assert.equal(remainingCalls(limiter), 10);
+
+  const req = await pass(limit);
+  req.chargeProviderCalls();
+  req.chargeProviderCalls();
+  assert.equal(remainingCalls(limiter), 7);
+});
+
+test('provider calls are charged up front unless deferred', async () => {
+  const limiter = createRateLimiter({ MAX_PROVIDER_CALLS_PER_DAY: '10' });
+  await pass(limiter.limit(() => 3));
+  assert.equal(remainingCalls(limiter), 7);
+
+  const disabled = await pass(createRateLimiter({ RATE_LIMIT_ENABLED: 'false' }).limit(() => 3, { deferred: true }));
+  assert.doesNotThrow(() => disabled.chargeProviderCalls());
+});
@@ -0,0 +1,30 @@
+// backend/test/resilience.test.js
+//
+// Provider call policies read from the environment
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createResilience } = require('../services/resilience');
+
+const PROVIDER = { id: 'stub', displayName: 'Stub' };
+
+test('a timeout or backoff of 0 or less falls back to the default', () => {
+  const policy = createResilience({
+    REQUEST_TIMEOUT_MS: '0',
+    PROVIDER_RETRY_BASE_DELAY_MS: '-100',
+    PROVIDER_MAX_RETRIES: '0',
+  }).getPolicy(PROVIDER);
+  assert.equal(policy.timeoutMs, 15000);
+  assert.equal(policy.retryBaseDelayMs, 500);
+  // No retries is a valid choice
+  assert.equal(policy.maxRetries, 0);
+});
+
+test('per-provider overrides of 0 fall back to the global setting', () => {
+  const resilience = createResilience({
+    REQUEST_TIMEOUT_MS: '20000',
+    PROVIDER_RESILIENCE: JSON.stringify({ stub: { timeoutMs: 0, retryBaseDelayMs: 250 } }),
+  });
+  const policy = resilience.getPolicy(PROVIDER);
+  assert.equal(policy.timeoutMs, 20000);
+  assert.equal(policy.retryBaseDelayMs, 250);
+});
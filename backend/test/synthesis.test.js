@@ -0,0 +1,194 @@
+// backend/test/synthesis.test.js
+//
+// Synthesis strategies run by the Synthesizer, with stubbed synthesis models
+// in place of LangChain chat models
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AIMessage } = require('@langchain/core/messages');
+const CircuitBreaker = require('../services/circuitBreaker');
+const Synthesizer = require('../services/synthesis/synthesizer');
+const { resolveStrategy } = require('../services/synthesis');
+const { parseModelChain } = require('../services/synthesis/modelChain');
+
+const ANSWERS = {
+  openai: 'Use a hash map to count the words. It keeps every lookup constant time.',
+  anthropic: 'Count the words with a dictionary. Sorting the words first also works.',
+  google: 'Use a hash map to count the words. It keeps every lookup constant time, too.',
+};
+
+// Synthesis model (see modelCall.js) answering with `replies` in turn; a
+// reply that is an Error is thrown instead. `prompts` collects what it was
+// sent.
+function stubModel(replies, name = 'gpt-4o-mini') {
+  const prompts = [];
+  const next = input => {
+    prompts.push(input);
+    const reply = replies.shift();
+    if (reply === undefined) throw new Error('No more stubbed replies');
+    if (reply instanceof Error) throw reply;
+    const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+    return new AIMessage({ content, usage_metadata: { input_tokens: 100, output_tokens: 20, total_tokens: 120 } });
+  };
+  return {
+    chat: { invoke: async input => next(input) },
+    provider: 'openai',
+    name,
+    breaker: new CircuitBreaker({ threshold: 1, cooldownMs: 60000 }),
+    prompts,
+  };
+}
+
+function synthesize(strategy, { models = [], responses = ANSWERS, query = 'How do I count words?' } = {}) {
+  return new Synthesizer({ models, defaultStrategy: 'rules' }).synthesize({ strategy, query, responses });
+}
+
+const MERGED = {
+  synthesizedResponse: 'Use a hash map to count the words [openai][google].',
+  confidence: 'high',
+  confidenceScore: 85,
+  commonThemes: ['hash maps'],
+  keyDifferences: ['sorting first'],
+  modelContributions: { openai: 'hash map', anthropic: 'sorting', google: 'hash map' },
+};
+
+test('requests pick a strategy, or get the default one', async () => {
+  assert.deepEqual(resolveStrategy(undefined, 'merge'), { strategy: 'merge' });
+  assert.deepEqual(resolveStrategy('judge', 'merge'), { strategy: 'judge' });
+  assert.match(resolveStrategy('coin-flip', 'merge').error, /Unknown synthesis strategy "coin-flip"/);
+
+  const synthesis = await synthesize('side-by-side');
+  assert.equal(synthesis.approach, 'side-by-side');
+  assert.match(synthesis.answer, /\*\*OpenAI\*\*\nUse a hash map/);
+  assert.deepEqual(synthesis.citations, []);
+});
+
+test('merge answers with the synthesis model', async () => {
+  const model = stubModel([MERGED]);
+  const synthesis = await synthesize('merge', { models: [model] });
+  assert.equal(synthesis.approach, 'merge');
+  assert.equal(synthesis.details.fallback, false);
+  assert.deepEqual(synthesis.details.synthesisModel, { provider: 'openai', model: 'gpt-4o-mini' });
+  assert.equal(synthesis.confidenceScore, 85);
+  assert.deepEqual(synthesis.details.commonThemes, ['hash maps']);
+  assert.equal(synthesis.usage.inputTokens, 100);
+  assert.ok(synthesis.usage.costUsd > 0);
+});
+
+test('the plain answer for follow-up history has no citation markers', async () => {
+  const synthesis = await synthesize('merge', { models: [stubModel([MERGED])] });
+  assert.equal(synthesis.answer, 'Use a hash map to count the words. [OpenAI][Google]');
+  assert.equal(synthesis.plainAnswer, 'Use a hash map to count the words.');
+  assert.equal(synthesis.citations.length, 1);
+});
+
+test('a reply that fails the schema is repaired by the model', async () => {
+  const model = stubModel(['Here is my synthesis, not JSON.', MERGED]);
+  const synthesis = await synthesize('merge', { models: [model] });
+  assert.equal(model.prompts.length, 2);
+  assert.match(model.prompts[1].at(-1).content, /could not be used: it is not valid JSON/);
+  assert.equal(synthesis.details.fallback, false);
+  assert.match(synthesis.answer, /^Use a hash map to count the words/);
+  // Both calls are paid for
+  assert.equal(synthesis.usage.inputTokens, 200);
+});
+
+test('a repair that fails too falls back to a lenient parse', async () => {
+  const truncated = JSON.stringify(MERGED).slice(0, 60);
+  const model = stubModel([truncated, '{"confidence": "high"}']);
+  const synthesis = await synthesize('merge', { models: [model] });
+  assert.equal(synthesis.details.fallback, false);
+  assert.match(synthesis.answer, /^Use a hash/);
+});
+
+test('an unreadable reply moves on to the next synthesis model, and then to the fallback', async () => {
+  const broken = stubModel(['no JSON here', 'still no JSON']);
+  const backup = stubModel([MERGED], 'gpt-4o');
+  const synthesis = await synthesize('merge', { models: [broken, backup] });
+  assert.deepEqual(synthesis.details.synthesisModel, { provider: 'openai', model: 'gpt-4o' });
+  assert.equal(broken.breaker.describe().state, 'open');
+
+  // The broken model's breaker is open, so it is skipped without a call
+  const failing = stubModel([new Error('Connection error')]);
+  const fallback = await synthesize('merge', { models: [broken, failing] });
+  assert.equal(broken.prompts.length, 2);
+  assert.equal(fallback.details.fallback, true);
+  assert.equal(fallback.details.synthesisModel, undefined);
+  assert.match(fallback.answer, /\*\*Anthropic\*\*\nCount the words with a dictionary/);
+  assert.equal(fallback.reasoning, 'AI synthesis unavailable - showing each model\'s answer');
+});
+
+test('judge returns the picked answer as its model wrote it', async () => {
+  const model = stubModel([{ bestAnswer: 'anthropic', justification: 'It mentions sorting.', confidenceScore: 70 }]);
+  const synthesis = await synthesize('judge', { models: [model] });
+  assert.equal(synthesis.details.selectedProvider, 'anthropic');
+  assert.match(synthesis.answer, /^Count the words with a dictionary/);
+  assert.equal(synthesis.reasoning, 'Anthropic judged best: It mentions sorting.');
+
+  // Without a model the answer the others back most is picked
+  const fallback = await synthesize('judge');
+  assert.equal(fallback.details.fallback, true);
+  assert.notEqual(fallback.details.selectedProvider, 'anthropic');
+});
+
+test('majority vote counts equivalent answers together', async () => {
+  const synthesis = await synthesize('majority', {
+    query: 'What is the capital of France?',
+    responses: { openai: 'Paris.', anthropic: 'The capital of France is Paris.', google: 'Lyon.' },
+  });
+  assert.deepEqual(synthesis.details.votes, [
+    { statement: 'Paris.', providers: ['openai', 'anthropic'] },
+    { statement: 'Lyon.', providers: ['google'] },
+  ]);
+  assert.equal(synthesis.confidenceScore, 67);
+  assert.match(synthesis.answer, /^Paris\./);
+});
+
+test('a tied majority vote reports the split', async () => {
+  const synthesis = await synthesize('majority', {
+    query: 'What is the capital of France?',
+    responses: { openai: 'Paris.', anthropic: 'Lyon.' },
+  });
+  assert.equal(synthesis.details.votes.length, 2);
+  assert.equal(synthesis.confidenceScore, 0);
+  assert.match(synthesis.answer, /^\*\*No majority - the models are split:\*\*/);
+  assert.equal(synthesis.reasoning, 'No majority: the models gave 2 different answers');
+});
+
+test('ranked keeps the model\'s order, each answer once, and ranks the ones it left out last', async () => {
+  const model = stubModel([{
+    ranking: [
+      { answer: 'google', justification: 'Complete.' },
+      { answer: 'openai', justification: 'Correct.' },
+      { answer: 'google', justification: 'Listed twice.' },
+    ],
+  }]);
+  const synthesis = await synthesize('ranked', { models: [model] });
+  assert.deepEqual(synthesis.details.ranking, [
+    { provider: 'google', rank: 1, justification: 'Complete.' },
+    { provider: 'openai', rank: 2, justification: 'Correct.' },
+    { provider: 'anthropic', rank: 3, justification: 'Not ranked by the synthesis model' },
+  ]);
+  assert.match(synthesis.answer, /^\*\*1\. Google\*\* - Complete\./);
+  assert.deepEqual(synthesis.citations, []);
+});
+
+test('ranked without a model puts the answers the others back first', async () => {
+  const synthesis = await synthesize('ranked');
+  assert.equal(synthesis.details.fallback, true);
+  assert.equal(synthesis.details.ranking.at(-1).provider, 'anthropic');
+});
+
+test('rules picks its tier by how much the answers agree', async () => {
+  const agreeing = await synthesize('rules', { responses: { openai: ANSWERS.openai, google: ANSWERS.google } });
+  assert.equal(agreeing.details.tier, 'consensus');
+  assert.equal(agreeing.confidence, 'high');
+  assert.equal(agreeing.details.synthesisModel, undefined);
+});
+
+test('SYNTHESIS_MODELS entries name a provider and optionally a model', () => {
+  assert.deepEqual(parseModelChain('anthropic:claude-3-5-sonnet-20241022, openai,ollama:llama3.1:8b,'), [
+    { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
+    { provider: 'openai', model: null },
+    { provider: 'ollama', model: 'llama3.1:8b' },
+  ]);
+});
@@ -0,0 +1,72 @@
+// backend/test/textSimilarity.test.js
+//
+// Agreement scores of known paraphrase and contradiction pairs
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AGREEMENT_THRESHOLD, textSimilarity, averageSimilarity } = require('../services/textSimilarity');
+
+const PARAPHRASES = [
+  ['Caching stores copies of responses so later requests are served faster.',
+    'A cache keeps copies of responses, so later requests get served faster.'],
+  ['The Eiffel Tower is located in Paris, France.',
+    'The Eiffel Tower is in Paris, France.'],
+  ['Regular exercise improves cardiovascular health and reduces stress.',
+    'Exercising regularly reduces stress and improves your cardiovascular health.'],
+  ['The function does not return a promise.',
+    'This function doesn\'t return a promise.'],
+];
+
+const CONTRADICTIONS = [
+  ['Python is safe to use for this task.',
+    'Python is not safe to use for this task.'],
+  ['The function returns a promise.',
+    'The function does not return a promise.'],
+  ['You should use a relational database for this data.',
+    'You should never use a relational database for this data.'],
+  ['Restarting the server clears the cache.',
+    'Restarting the server doesn\'t clear the cache.'],
+];
+
+const UNRELATED = [
+  ['The capital of Australia is Canberra.',
+    'Sydney is the largest city in Australia.'],
+];
+
+test('paraphrases score above the agreement threshold', () => {
+  PARAPHRASES.forEach(([a, b]) => {
+    assert.ok(textSimilarity(a, b) > AGREEMENT_THRESHOLD, `${a} / ${b}: ${textSimilarity(a, b)}`);
+  });
+});
+
+test('a statement and its denial score below the agreement threshold', () => {
+  CONTRADICTIONS.forEach(([a, b]) => {
+    assert.ok(textSimilarity(a, b) < AGREEMENT_THRESHOLD, `${a} / ${b}: ${textSimilarity(a, b)}`);
+  });
+});
+
+test('unrelated statements score below the agreement threshold', () => {
+  UNRELATED.forEach(([a, b]) => {
+    assert.ok(textSimilarity(a, b) < AGREEMENT_THRESHOLD, `${a} / ${b}: ${textSimilarity(a, b)}`);
+  });
+});
+
+test('identical texts score 1 and texts without terms in common 0', () => {
+  assert.equal(Math.round(textSimilarity('Caching is fast.', 'Caching is fast.') * 1000) / 1000, 1);
+  assert.equal(textSimilarity('Caching is fast.', 'Paris is in France.'), 0);
+});
+
+test('averageSimilarity: answers that agree score above answers one of which denies the rest', () => {
+  const agreeing = [
+    'Caching stores copies of responses so later requests are served faster.',
+    'A cache keeps copies of responses, so later requests get served faster.',
+    'Caches store copies of responses to serve later requests faster.',
+  ];
+  const disputed = [...agreeing.slice(0, 2), 'Caching does not serve later requests faster.'];
+  assert.ok(averageSimilarity(agreeing) > AGREEMENT_THRESHOLD);
+  assert.ok(averageSimilarity(disputed) < averageSimilarity(agreeing));
+});
+
+test('averageSimilarity is 0 for fewer than two texts', () => {
+  assert.equal(averageSimilarity([]), 0);
+  assert.equal(averageSimilarity(['Only one answer.']), 0);
+});
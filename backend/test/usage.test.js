@@ -0,0 +1,35 @@
+// backend/test/usage.test.js
+//
+// Totals of priced usages, with and without known prices
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sumUsage } = require('../services/usage');
+
+test('priced usages add up tokens and cost', () => {
+  assert.deepEqual(sumUsage([
+    { inputTokens: 10, outputTokens: 20, costUsd: 0.5 },
+    null,
+    { inputTokens: 1, outputTokens: 2, costUsd: 0.25 },
+  ]), { inputTokens: 11, outputTokens: 22, costUsd: 0.75, unpriced: false });
+});
+
+test('a usage without a known price marks the total unpriced', () => {
+  assert.deepEqual(sumUsage([
+    { inputTokens: 10, outputTokens: 20, costUsd: 0.5 },
+    { inputTokens: 5, outputTokens: 5, costUsd: null },
+  ]), { inputTokens: 15, outputTokens: 25, costUsd: 0.5, unpriced: true });
+  assert.equal(sumUsage([{ inputTokens: 5, outputTokens: 5, costUsd: null }]).unpriced, true);
+});
+
+test('totals of unpriced totals stay unpriced', () => {
+  const total = sumUsage([
+    { inputTokens: 1, outputTokens: 1, costUsd: 0.1, unpriced: false },
+    { inputTokens: 1, outputTokens: 1, costUsd: 0, unpriced: true },
+  ]);
+  assert.equal(total.unpriced, true);
+  assert.equal(total.costUsd, 0.1);
+});
+
+test('nothing spent is a priced zero', () => {
+  assert.deepEqual(sumUsage([]), { inputTokens: 0, outputTokens: 0, costUsd: 0, unpriced: false });
+});
@@ -1,11 +1,69 @@
 // frontend/src/App.jsx
-import React, { useState, useEffect, useRef } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { streamAggregate, cancelAggregation, normalizeAggregateResponse } from './api/aggregate';
+import { getQuota } from './api/quota';
+import { getReadiness } from './api/health';
+import * as conversationsApi from './api/conversations';
+import Markdown from './components/Markdown';
+import { withCitationLinks, plainAnswer } from './citations';
 import './App.css';
 
+// Labels for providers that didn't give a genuine answer
+const STATUS_LABELS = {
+  mock: 'mock',
+  error: 'error',
+  filtered: 'filtered',
+  timeout: 'timed out'
+};
+
+// Estimated cost in USD, with enough digits to show fractions of a cent. An
+// `unpriced` total leaves out models without a known price, so it is only a
+// lower bound ("$0.12+"), or unknown when nothing in it had a price.
+const formatCost = (costUsd, unpriced = false) => {
+  if (costUsd == null) return null;
+  if (unpriced && costUsd === 0) return 'cost unknown';
+  const amount = costUsd === 0 ? '$0' : costUsd < 0.01 ? `$${costUsd.toFixed(4)}` : `$${costUsd.toFixed(2)}`;
+  return unpriced ? `${amount}+` : amount;
+};
+
+const UNPRICED_NOTE = ' - some models have no known price';
+
+const formatUsage = (usage) => usage
+  ? [`${usage.inputTokens + usage.outputTokens} tokens`, formatCost(usage.costUsd, usage.unpriced)].filter(Boolean).join(' · ')
+  : null;
+
+const READINESS_LABELS = {
+  ready: 'Ready',
+  degraded: 'Degraded',
+  down: 'Down',
+  unconfigured: 'Not configured - mock responses'
+};
+
+const READINESS_POLL_MS = 60000;
+
+// How many of the answering models make a claim (synthesis.claimMap)
+const CLAIM_SUPPORT_LABELS = {
+  all: 'All models',
+  some: 'Some models',
+  one: 'One model'
+};
+
+// Characters of a cited answer shown around the cited passage
+const CITATION_CONTEXT_CHARS = 160;
+
+// Tooltip for a provider's status dot
+const describeReadiness = (provider) => [
+  READINESS_LABELS[provider.status] || provider.status,
+  provider.probe && (provider.probe.ok ? 'probe ok' : `probe failed: ${provider.probe.reason.replace(/_/g, ' ')}`),
+  provider.errorRate.calls > 0 && `${Math.round(provider.errorRate.rate * 100)}% of ${provider.errorRate.calls} recent calls failed`,
+  provider.circuit.state !== 'closed' && `circuit ${provider.circuit.state.replace('_', '-')}`
+].filter(Boolean).join(' · ');
+
 function App() {
   // Core app state
-  const [healthStatus, setHealthStatus] = useState('');
+  const [readiness, setReadiness] = useState(null);
+  const [backendOffline, setBackendOffline] = useState(false);
+  const [quota, setQuota] = useState(null);
   const [prompt, setPrompt] = useState('');
   const [results, setResults] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -13,16 +71,24 @@ function App() {
   const [showIndividual, setShowIndividual] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
   const [showIndividualResponses, setShowIndividualResponses] = useState({});
+  const [showClaimMap, setShowClaimMap] = useState({});
+  // Citation marker being previewed: { message, citation, provider, pinned }
+  const [citationPreview, setCitationPreview] = useState(null);
+  const [streamingResponse, setStreamingResponse] = useState(null);
   
   // Claude-style conversation management
   const [conversations, setConversations] = useState([]);
   const [currentConversationId, setCurrentConversationId] = useState(null);
   const [conversationHistory, setConversationHistory] = useState([]);
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
+  const [editingConversationId, setEditingConversationId] = useState(null);
+  const [editingTitle, setEditingTitle] = useState('');
   
   // Refs
   const chatContainerRef = useRef(null);
   const textareaRef = useRef(null);
+  // { controller, requestId } of the aggregation in flight
+  const aggregationRef = useRef(null);
 
   const API_BASE_URL = 'http://localhost:3001';
 
@@ -79,50 +145,94 @@ function App() {
   };
 
 
-  // Conversation management functions
-  const createNewConversation = () => {
-    const newConversation = {
-      id: Date.now().toString(),
-      title: 'New Conversation',
-      messages: [],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    setConversations(prev => [newConversation, ...prev]);
-    setCurrentConversationId(newConversation.id);
-    setConversationHistory([]);
+  // Conversation management functions - conversations are saved on the
+  // server; `conversations` holds their summaries, the open one's messages
+  // live in conversationHistory
+  const resetConversationView = useCallback(() => {
     setResults(null);
     setError('');
     setShowIndividualResponses({});
-  };
+    setShowClaimMap({});
+    setCitationPreview(null);
+  }, []);
 
-  const switchConversation = (conversationId) => {
-    const conversation = conversations.find(c => c.id === conversationId);
-    if (conversation) {
+  // Abort the aggregation in flight: the request is dropped and the server told
+  // to stop querying providers
+  const stopAggregation = useCallback(() => {
+    const aggregation = aggregationRef.current;
+    if (!aggregation) return;
+    aggregationRef.current = null;
+    aggregation.controller.abort();
+    cancelAggregation(API_BASE_URL, aggregation.requestId)
+      .catch(error => console.error('Error cancelling aggregation:', error));
+  }, []);
+
+  // A new conversation is only saved once its first message is sent
+  const createNewConversation = useCallback(() => {
+    stopAggregation();
+    setCurrentConversationId(null);
+    setConversationHistory([]);
+    resetConversationView();
+  }, [stopAggregation, resetConversationView]);
+
+  const switchConversation = async (conversationId) => {
+    stopAggregation();
+    try {
+      const conversation = await conversationsApi.getConversation(API_BASE_URL, conversationId);
       setCurrentConversationId(conversationId);
       setConversationHistory(conversation.messages);
-      setResults(null);
-      setError('');
-      setShowIndividualResponses({});
+      resetConversationView();
+    } catch (error) {
+      console.error('Error loading conversation:', error);
+      setError('Could not load that conversation');
     }
   };
 
-  const updateConversationTitle = (conversationId, newTitle) => {
-    setConversations(prev => 
-      prev.map(conv => 
-        conv.id === conversationId 
-          ? { ...conv, title: newTitle, updatedAt: new Date().toISOString() }
-          : conv
-      )
-    );
+  // Put a saved conversation's summary at the top of the list
+  const upsertConversationSummary = (conversation) => {
+    const summary = {
+      id: conversation.id,
+      title: conversation.title,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messageCount: conversation.messages?.length ?? conversation.messageCount ?? 0,
+      usage: conversation.usage
+    };
+    setConversations(prev => [summary, ...prev.filter(conv => conv.id !== conversation.id)]);
+  };
+
+  const updateConversationTitle = async (conversationId, newTitle) => {
+    const title = newTitle.trim();
+    if (!title) return;
+
+    try {
+      const updated = await conversationsApi.renameConversation(API_BASE_URL, conversationId, title);
+      setConversations(prev =>
+        prev.map(conv =>
+          conv.id === conversationId
+            ? { ...conv, title: updated.title, updatedAt: updated.updatedAt }
+            : conv
+        )
+      );
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+      setError(error.response?.data?.error || 'Could not rename the conversation');
+    }
   };
 
-  const deleteConversation = (conversationId) => {
-    setConversations(prev => prev.filter(c => c.id !== conversationId));
+  const deleteConversation = async (conversationId) => {
+    try {
+      await conversationsApi.deleteConversation(API_BASE_URL, conversationId);
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+      setError('Could not delete the conversation');
+      return;
+    }
+
+    const remainingConversations = conversations.filter(c => c.id !== conversationId);
+    setConversations(remainingConversations);
     if (currentConversationId === conversationId) {
-      if (conversations.length > 1) {
-        const remainingConversations = conversations.filter(c => c.id !== conversationId);
+      if (remainingConversations.length > 0) {
         switchConversation(remainingConversations[0].id);
       } else {
         createNewConversation();
@@ -130,48 +240,69 @@ function App() {
     }
   };
 
-  // Initialize app
+  const startRenaming = (conversation) => {
+    setEditingConversationId(conversation.id);
+    setEditingTitle(conversation.title);
+  };
+
+  const finishRenaming = () => {
+    const conversation = conversations.find(c => c.id === editingConversationId);
+    if (conversation && editingTitle.trim() && editingTitle.trim() !== conversation.title) {
+      updateConversationTitle(conversation.id, editingTitle);
+    }
+    setEditingConversationId(null);
+  };
+
+  // Provider readiness for the sidebar, refreshed every minute
   useEffect(() => {
-    // Check backend health on component mount
-    axios.get(`${API_BASE_URL}/api/health`)
-      .then(response => {
-        setHealthStatus(response.data.message);
-        console.log('Backend connected successfully:', response.data);
+    const checkReadiness = () => getReadiness(API_BASE_URL)
+      .then(report => {
+        setReadiness(report);
+        setBackendOffline(false);
       })
       .catch(error => {
         console.error('Error connecting to backend:', error);
-        setHealthStatus('Error connecting to backend');
+        setBackendOffline(true);
       });
-    
-    // Load conversations from localStorage on mount
-    const savedConversations = localStorage.getItem('kosma-conversations');
-    if (savedConversations) {
+
+    checkReadiness();
+    const interval = setInterval(checkReadiness, READINESS_POLL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Initialize app
+  useEffect(() => {
+    getQuota(API_BASE_URL)
+      .then(setQuota)
+      .catch(error => console.error('Error loading quota:', error));
+
+    // Move any conversations saved by older versions from localStorage to the
+    // server, then open the most recent one
+    const loadConversations = async () => {
+      try {
+        const migrated = await conversationsApi.migrateLocalConversations(API_BASE_URL);
+        if (migrated) {
+          console.log('💾 Migrated saved conversations to the server:', migrated);
+        }
+      } catch (error) {
+        console.error('Error migrating saved conversations:', error);
+      }
+
       try {
-        const parsed = JSON.parse(savedConversations);
-        setConversations(parsed);
-        if (parsed.length > 0) {
-          setCurrentConversationId(parsed[0].id);
-          setConversationHistory(parsed[0].messages);
-        } else {
-          // Create initial conversation if saved but empty
-          createNewConversation();
+        const saved = await conversationsApi.listConversations(API_BASE_URL);
+        setConversations(saved);
+        if (saved.length > 0) {
+          const conversation = await conversationsApi.getConversation(API_BASE_URL, saved[0].id);
+          setCurrentConversationId(conversation.id);
+          setConversationHistory(conversation.messages);
         }
       } catch (error) {
         console.error('Error loading conversations:', error);
-        createNewConversation();
       }
-    } else {
-      // Create initial conversation if none exist
-      createNewConversation();
-    }
-  }, []);
+    };
 
-  // Save conversations to localStorage
-  useEffect(() => {
-    if (conversations.length > 0) {
-      localStorage.setItem('kosma-conversations', JSON.stringify(conversations));
-    }
-  }, [conversations]);
+    loadConversations();
+  }, []);
 
   // Auto-resize textarea with responsive limits
   useEffect(() => {
@@ -217,23 +348,7 @@ function App() {
       timestamp: new Date().toISOString()
     };
 
-    // Ensure we have a current conversation
-    let activeConversationId = currentConversationId;
-    if (!activeConversationId) {
-      // Create new conversation synchronously
-      const newConvId = Date.now().toString();
-      const newConversation = {
-        id: newConvId,
-        title: 'New Conversation',
-        messages: [],
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-      
-      setConversations(prev => [newConversation, ...prev]);
-      setCurrentConversationId(newConvId);
-      activeConversationId = newConvId;
-    }
+    const activeConversationId = currentConversationId;
 
     // Add user message to conversation
     const newHistory = [...conversationHistory, userMessage];
@@ -243,21 +358,28 @@ function App() {
     setResults(null);
     setShowIndividual(false);
 
-    // Update conversation title from first message  
-    // Note: Skip title update for now since conversations state might not be updated yet
-    // The title will be updated when the conversation is saved to localStorage
+    setStreamingResponse({ providers: {}, synthesis: '', synthesizing: false });
+
+    const aggregation = { controller: new AbortController(), requestId: crypto.randomUUID() };
+    aggregationRef.current = aggregation;
 
     try {
       console.log('🚀 Sending request to backend...', { activeConversationId, currentPrompt });
-      const response = await axios.post(`${API_BASE_URL}/api/aggregate`, {
-        prompt: currentPrompt
+      const responseData = await streamAggregate(API_BASE_URL, {
+        prompt: currentPrompt,
+        history: buildRequestHistory(conversationHistory),
+        requestId: aggregation.requestId
+      }, {
+        onEvent: handleStreamEvent,
+        onQuota: setQuota,
+        signal: aggregation.controller.signal
       });
 
-      console.log('✅ Response received:', response.data);
+      console.log('✅ Response received:', responseData);
       
       const aiMessage = {
         type: 'ai',
-        content: response.data,
+        content: responseData,
         timestamp: new Date().toISOString()
       };
 
@@ -265,38 +387,111 @@ function App() {
       console.log('📝 Updating conversation history:', finalHistory.length, 'messages');
       
       setConversationHistory(finalHistory);
-      setResults(response.data);
-
-      // Update conversation with new messages
-      setConversations(prev => {
-        const updated = prev.map(conv => 
-          conv.id === activeConversationId 
-            ? { 
-                ...conv, 
-                messages: finalHistory, 
-                updatedAt: new Date().toISOString(),
-                title: conv.title === 'New Conversation' 
-                  ? (currentPrompt.length > 50 ? currentPrompt.substring(0, 50) + '...' : currentPrompt)
-                  : conv.title
-              }
-            : conv
-        );
-        console.log('💾 Updated conversations:', updated.length);
-        return updated;
-      });
+      setResults(responseData);
+
+      // Save the exchange; the server creates the conversation on its first
+      // message and titles it after the prompt
+      try {
+        const conversationId = activeConversationId
+          || (await conversationsApi.createConversation(API_BASE_URL)).id;
+        const saved = await conversationsApi.appendMessages(API_BASE_URL, conversationId, [userMessage, aiMessage]);
+        setCurrentConversationId(prev => (prev === activeConversationId ? saved.id : prev));
+        upsertConversationSummary(saved);
+        console.log('💾 Saved conversation:', saved.id, saved.messages.length, 'messages');
+      } catch (saveError) {
+        console.error('Error saving conversation:', saveError);
+        setError('The answer could not be saved to your conversation history');
+      }
       
     } catch (err) {
-      console.error('Error during aggregation:', err);
-      const errorMessage = err.response?.data?.error || err.message || 'An unexpected error occurred';
-      setError(errorMessage);
-      
-      // Remove user message if request failed
-      setConversationHistory(prev => prev.slice(0, -1));
+      // Remove user message if request failed or was stopped
+      setConversationHistory(prev => prev.filter(message => message !== userMessage));
+
+      if (err.name === 'AbortError') {
+        console.log('🛑 Aggregation stopped');
+        // Hand the question back for editing, unless the user moved on
+        setPrompt(current => current || currentPrompt);
+      } else {
+        console.error('Error during aggregation:', err);
+        const errorMessage = err.response?.data?.error || err.message || 'An unexpected error occurred';
+        setError(errorMessage);
+      }
     } finally {
+      if (aggregationRef.current === aggregation) {
+        aggregationRef.current = null;
+      }
       setLoading(false);
+      setStreamingResponse(null);
     }
   };
 
+  // Apply a streaming aggregation event to the in-progress response
+  const handleStreamEvent = (event, data) => {
+    setStreamingResponse(prev => {
+      const current = prev || { providers: {}, synthesis: '', synthesizing: false };
+      const provider = current.providers[data.provider] || { status: 'pending', text: '' };
+
+      switch (event) {
+        case 'provider-started':
+          return {
+            ...current,
+            providers: { ...current.providers, [data.provider]: { ...provider, status: 'streaming' } }
+          };
+        case 'token-delta':
+          return {
+            ...current,
+            providers: {
+              ...current.providers,
+              [data.provider]: { ...provider, status: 'streaming', text: provider.text + data.delta }
+            }
+          };
+        case 'provider-retry':
+          // The attempt failed; its partial text is discarded and it starts over
+          return {
+            ...current,
+            providers: {
+              ...current.providers,
+              [data.provider]: { ...provider, status: 'streaming', text: '', retries: data.attempt }
+            }
+          };
+        case 'provider-finished':
+          return {
+            ...current,
+            providers: {
+              ...current.providers,
+              [data.provider]: {
+                status: data.status === 'ok' ? 'done' : data.status,
+                reason: data.reason,
+                text: data.response ?? data.message ?? provider.text
+              }
+            }
+          };
+        // Sent again when another synthesis model starts the answer over
+        case 'synthesis-started':
+          return { ...current, synthesizing: true, synthesis: '' };
+        case 'synthesis-delta':
+          return { ...current, synthesizing: true, synthesis: current.synthesis + data.delta };
+        default:
+          return current;
+      }
+    });
+  };
+
+  // Earlier turns sent with each request; AI turns contribute their synthesized
+  // answer, without citation markers
+  const buildRequestHistory = (messages) => {
+    return messages
+      .map(message => {
+        if (message.type === 'user') {
+          return { role: 'user', content: message.content };
+        }
+        const synthesis = normalizeAggregateResponse(message.content)?.synthesis;
+        const answer = synthesis && plainAnswer(synthesis);
+        return answer ? { role: 'assistant', content: answer } : null;
+      })
+      .filter(Boolean);
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -327,7 +522,7 @@ function App() {
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [sidebarCollapsed, isMobile]);
+  }, [sidebarCollapsed, isMobile, createNewConversation]);
 
   const getConfidenceBadgeColor = (confidence) => {
     if (!confidence || typeof confidence !== 'string') return 'error-confidence';
@@ -339,31 +534,86 @@ function App() {
     return 'error-confidence';
   };
 
-  const formatSynthesizedAnswer = (text) => {
-    // Check if text is valid before processing
-    if (!text || typeof text !== 'string') {
-      return '<p>No synthesized response available.</p>';
-    }
-    
-    // Convert markdown-style formatting to HTML with responsive considerations
-    return text
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\n\n/g, '</p><p>')
-      .replace(/\n•/g, '<br>•')
-      .replace(/\n/g, '<br>')
-      .replace(/^/, '<p>')
-      .replace(/$/, '</p>');
+  // Citation buttons in a synthesized answer: hovering one previews the
+  // cited passage, clicking pins the preview until it is clicked again
+  const renderCitationMarker = (messageIndex) => (citation, provider, label) => {
+    const isCurrent = (current) => current?.message === messageIndex
+      && current.citation === citation && current.provider === provider;
+    return (
+      <button
+        type="button"
+        className={`citation-marker${isCurrent(citationPreview) ? ' active' : ''}`}
+        onMouseEnter={() => setCitationPreview(current => (
+          current?.pinned ? current : { message: messageIndex, citation, provider, pinned: false }
+        ))}
+        onMouseLeave={() => setCitationPreview(current => (current?.pinned ? current : null))}
+        onClick={() => setCitationPreview(current => (
+          current?.pinned && isCurrent(current) ? null : { message: messageIndex, citation, provider, pinned: true }
+        ))}
+      >
+        {label}
+      </button>
+    );
+  };
+
+  // The cited model's answer around the passage supporting the sentence,
+  // with the passage highlighted
+  const renderCitationPreview = (data, index) => {
+    if (citationPreview?.message !== index) return null;
+    const citation = data.synthesis.citations?.[citationPreview.citation];
+    const source = citation?.sources.find(entry => entry.provider === citationPreview.provider);
+    const result = data.responses[citationPreview.provider];
+    if (!source || !result?.text) return null;
+
+    const { passage } = source;
+    const name = result.displayName || source.provider;
+    return (
+      <div className={`citation-preview${citationPreview.pinned ? ' pinned' : ''}`}>
+        <div className="citation-preview-header">
+          <span className="source-tag">{getSourceIcon(source.provider)} {name}</span>
+          <span className="citation-preview-statement">“{citation.statement}”</span>
+        </div>
+        {passage ? (
+          <p className="citation-preview-text">
+            {passage.start > CITATION_CONTEXT_CHARS && '…'}
+            {result.text.slice(Math.max(0, passage.start - CITATION_CONTEXT_CHARS), passage.start)}
+            <mark>{result.text.slice(passage.start, passage.end)}</mark>
+            {result.text.slice(passage.end, passage.end + CITATION_CONTEXT_CHARS)}
+            {passage.end + CITATION_CONTEXT_CHARS < result.text.length && '…'}
+          </p>
+        ) : (
+          <p className="citation-preview-text citation-preview-empty">
+            {name} supports this sentence, but no single passage of its answer matches it.
+          </p>
+        )}
+      </div>
+    );
   };
 
-  const getSourceIcon = (source) => {
+  const getSourceIcon = (providerId) => {
     const icons = {
-      'OpenAI': '🤖',
-      'Anthropic': '🧠', 
-      'Google': '🔍'
+      openai: '🤖',
+      anthropic: '🧠', 
+      google: '🔍'
     };
-    return icons[source] || '💬';
+    return icons[providerId] || '💬';
+  };
+
+  // Badge for any provider that didn't give a genuine answer
+  const renderStatusBadge = (status, reason, message) => {
+    if (!STATUS_LABELS[status]) return null;
+    return (
+      <span
+        className={`status-badge status-${status}`}
+        title={[reason && reason.replace(/_/g, ' '), message].filter(Boolean).join(' - ') || undefined}
+      >
+        {STATUS_LABELS[status]}
+      </span>
+    );
   };
 
+  const isFailedStatus = (status) => ['error', 'filtered', 'timeout'].includes(status);
+
   const truncateForMobile = (text, maxLength = 100) => {
     if (!isMobile || text.length <= maxLength) return text;
     return text.substring(0, maxLength) + '...';
@@ -376,6 +626,52 @@ function App() {
     }));
   };
 
+  const toggleClaimMap = (messageIndex) => {
+    setShowClaimMap(prev => ({
+      ...prev,
+      [messageIndex]: !prev[messageIndex]
+    }));
+  };
+
+  // Each statement of the synthesized answer with the models backing it;
+  // hovering a model shows how it phrased the claim
+  const renderClaimMap = (data, index) => {
+    const { claims, statements } = data.synthesis.claimMap;
+    return (
+      <div className="individual-ai-responses-section claim-map-section">
+        <button
+          onClick={() => toggleClaimMap(index)}
+          className="toggle-individual-ai-button"
+        >
+          {showClaimMap[index] ? '▲' : '▼'} {isMobile ? 'Model Support' : 'Which Models Back Each Statement'}
+        </button>
+
+        {showClaimMap[index] && (
+          <ul className="claim-map">
+            {statements.map((statement, i) => (
+              <li key={i} className={`claim-statement support-${statement.support || 'none'}`}>
+                <span className="claim-text">{statement.text}</span>
+                <span className="claim-support">
+                  <span className="claim-support-label">
+                    {CLAIM_SUPPORT_LABELS[statement.support] || 'No model makes this claim'}
+                  </span>
+                  {statement.providers.map(id => {
+                    const name = data.responses[id]?.displayName || id;
+                    return (
+                      <span key={id} className="source-tag" title={claims[statement.claim].sources[id]}>
+                        {getSourceIcon(id)} {isMobile ? name.substring(0, 3) : name}
+                      </span>
+                    );
+                  })}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
   const renderMessage = (message, index) => {
     if (message.type === 'user') {
       return (
@@ -390,10 +686,10 @@ function App() {
         </div>
       );
     } else {
-      const data = message.content;
+      const data = normalizeAggregateResponse(message.content);
       
       // Check if synthesis data exists
-      if (!data || !data.synthesis) {
+      if (!data) {
         return (
           <div key={index} className="message-wrapper ai">
             <div className="message-bubble">
@@ -405,6 +701,9 @@ function App() {
         );
       }
       
+      // Providers that couldn't contribute a genuine answer
+      const degradedProviders = Object.entries(data.responses).filter(([, result]) => result.status !== 'ok');
+
       return (
         <div key={index} className="message-wrapper ai">
           <div className="message-bubble">
@@ -419,12 +718,16 @@ function App() {
               </div>
             </div>
             
-            <div 
+            <Markdown
               className="synthesized-content"
-              dangerouslySetInnerHTML={{ 
-                __html: formatSynthesizedAnswer(data.synthesis.synthesizedAnswer || data.synthesis.response) 
-              }}
+              text={withCitationLinks(data.synthesis.answer, data.synthesis.citations, data.responses)
+                || 'No synthesized response available.'}
+              renderCitation={renderCitationMarker(index)}
             />
+
+            {renderCitationPreview(data, index)}
+
+            {data.synthesis.claimMap?.statements.length > 0 && renderClaimMap(data, index)}
             
             {/* Individual AI Responses Toggle */}
             <div className="individual-ai-responses-section">
@@ -438,24 +741,30 @@ function App() {
               {showIndividualResponses[index] && (
                 <div className="individual-ai-responses">
                   <div className="individual-responses-grid">
-                    {Object.entries(data.individualResponses).map(([service, response]) => (
-                      <div key={service} className={`individual-ai-response ${response.error ? 'error' : ''}`}>
+                    {Object.entries(data.responses).map(([service, result]) => (
+                      <div key={service} className={`individual-ai-response ${result.status}`}>
                         <div className="ai-service-header">
-                          <span className="service-icon">{getSourceIcon(service.charAt(0).toUpperCase() + service.slice(1))}</span>
-                          <span className="service-name">{service.charAt(0).toUpperCase() + service.slice(1)}</span>
-                          {response.error && <span className="error-indicator">⚠️</span>}
+                          <span className="service-icon">{getSourceIcon(service)}</span>
+                          <span className="service-name">{result.displayName}</span>
+                          {renderStatusBadge(result.status, result.reason, result.error?.message)}
                         </div>
+                        {!isMobile && (result.model || result.latencyMs != null) && (
+                          <div className="ai-service-meta">
+                            {[result.model, result.latencyMs != null && `${result.latencyMs}ms`, result.attempts > 1 && `${result.attempts} attempts`, formatUsage(result.usage)].filter(Boolean).join(' · ')}
+                          </div>
+                        )}
                         <div className="ai-response-text">
-                          {response.error ? (
+                          {isFailedStatus(result.status) ? (
                             <span className="error-text">
-                              Error: {response.message}
+                              {result.error?.message}
                             </span>
                           ) : (
-                            <span className="response-text">
-                              {isMobile && response.length > 200 
-                                ? response.substring(0, 200) + '...' 
-                                : response}
-                            </span>
+                            <Markdown
+                              className="response-text"
+                              text={isMobile && result.text.length > 200 
+                                ? result.text.substring(0, 200) + '...' 
+                                : result.text}
+                            />
                           )}
                         </div>
                       </div>
@@ -469,15 +778,36 @@ function App() {
               <div className="meta-row">
                 <div className="sources-used">
                   <strong>Sources:</strong>
-                  {data.synthesis.sourcesUsed.map(source => (
-                    <span key={source} className="source-tag">
-                      {getSourceIcon(source)} {isMobile ? source.substring(0, 3) : source}
-                    </span>
-                  ))}
+                  {data.synthesis.sourcesUsed.map(source => {
+                    const name = data.responses[source]?.displayName || source;
+                    return (
+                      <span key={source} className="source-tag">
+                        {getSourceIcon(source)} {isMobile ? name.substring(0, 3) : name}
+                      </span>
+                    );
+                  })}
                 </div>
+                {degradedProviders.length > 0 && (
+                  <div className="degraded-sources">
+                    <strong>Degraded:</strong>
+                    {degradedProviders.map(([id, result]) => (
+                      <span key={id} className={`source-tag degraded status-${result.status}`} title={result.error?.message || undefined}>
+                        {getSourceIcon(id)} {isMobile ? result.displayName.substring(0, 3) : result.displayName} · {STATUS_LABELS[result.status]}
+                      </span>
+                    ))}
+                  </div>
+                )}
                 {data.metadata && !isMobile && (
                   <div className="processing-time">
                     {data.metadata.processingTimeMs}ms
+                    {data.metadata.usage && (
+                      <span
+                        className="request-usage"
+                        title={`${data.metadata.usage.inputTokens} input + ${data.metadata.usage.outputTokens} output tokens${data.synthesis.usage ? `, synthesis ${formatUsage(data.synthesis.usage)}` : ''}${data.metadata.usage.unpriced ? UNPRICED_NOTE : ''}`}
+                      >
+                        {' · '}{formatUsage(data.metadata.usage)}
+                      </span>
+                    )}
                   </div>
                 )}
               </div>
@@ -495,6 +825,60 @@ function App() {
     }
   };
 
+  const renderStreamingMessage = () => {
+    const providerEntries = Object.entries(streamingResponse.providers);
+
+    return (
+      <div className="message-wrapper ai streaming">
+        <div className="message-bubble">
+          <div className="synthesis-header">
+            <div className="synthesis-title">
+              {isMobile ? '🎯 Synthesis' : '🎯 AI Synthesis'}
+            </div>
+            <div className="streaming-status">
+              {streamingResponse.synthesizing ? 'Synthesizing...' : 'Consulting AI models...'}
+            </div>
+          </div>
+
+          {streamingResponse.synthesis && (
+            <Markdown className="synthesized-content" text={streamingResponse.synthesis} />
+          )}
+
+          {providerEntries.length > 0 && (
+            <div className="individual-ai-responses">
+              <div className="individual-responses-grid">
+                {providerEntries.map(([service, state]) => (
+                  <div key={service} className={`individual-ai-response ${state.status}`}>
+                    <div className="ai-service-header">
+                      <span className="service-icon">{getSourceIcon(service)}</span>
+                      <span className="service-name">{service.charAt(0).toUpperCase() + service.slice(1)}</span>
+                      {state.status === 'streaming' && <span className="streaming-indicator" />}
+                      {state.status === 'streaming' && state.retries > 0 && (
+                        <span className="retry-indicator" title={`Attempt ${state.retries} failed - retrying`}>
+                          retry {state.retries}
+                        </span>
+                      )}
+                      {renderStatusBadge(state.status, state.reason)}
+                    </div>
+                    <div className="ai-response-text">
+                      {isFailedStatus(state.status) ? (
+                        <span className="error-text">{state.text}</span>
+                      ) : (
+                        state.text
+                          ? <Markdown className="response-text" text={state.text} />
+                          : <span className="response-text">Waiting for response...</span>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   const getPlaceholderText = () => {
     if (isMobile) {
       return "Ask anything... (Enter to send)";
@@ -566,9 +950,61 @@ function App() {
                     }
                   }}
                 >
-                  <div className="conversation-title">{conversation.title}</div>
+                  {editingConversationId === conversation.id ? (
+                    <input
+                      className="conversation-title-input"
+                      value={editingTitle}
+                      autoFocus
+                      maxLength={200}
+                      aria-label="Conversation title"
+                      onChange={(e) => setEditingTitle(e.target.value)}
+                      onClick={(e) => e.stopPropagation()}
+                      onBlur={finishRenaming}
+                      onKeyDown={(e) => {
+                        e.stopPropagation();
+                        if (e.key === 'Enter') finishRenaming();
+                        if (e.key === 'Escape') setEditingConversationId(null);
+                      }}
+                    />
+                  ) : (
+                    <div className="conversation-title">{conversation.title}</div>
+                  )}
                   <div className="conversation-date">
                     {new Date(conversation.updatedAt).toLocaleDateString()}
+                    {(conversation.usage?.costUsd > 0 || conversation.usage?.unpriced) && (
+                      <span
+                        className="conversation-cost"
+                        title={`${conversation.usage.inputTokens + conversation.usage.outputTokens} tokens${conversation.usage.unpriced ? UNPRICED_NOTE : ''}`}
+                      >
+                        {' · '}{formatCost(conversation.usage.costUsd, conversation.usage.unpriced)}
+                      </span>
+                    )}
+                  </div>
+                  <div className="conversation-actions">
+                    <button
+                      className="conversation-action"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        startRenaming(conversation);
+                      }}
+                      aria-label={`Rename conversation: ${conversation.title}`}
+                      title="Rename"
+                    >
+                      ✎
+                    </button>
+                    <button
+                      className="conversation-action"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        if (window.confirm(`Delete "${conversation.title}"?`)) {
+                          deleteConversation(conversation.id);
+                        }
+                      }}
+                      aria-label={`Delete conversation: ${conversation.title}`}
+                      title="Delete"
+                    >
+                      🗑
+                    </button>
                   </div>
                 </div>
               ))}
@@ -577,14 +1013,34 @@ function App() {
         </div>
 
         <div className="sidebar-footer">
-          <div className={`health-status ${healthStatus.includes('Error') ? 'error' : 'success'}`}>
-            <span className="status-indicator" />
-            {!sidebarCollapsed && (
-              <span className="status-text">
-                {healthStatus.includes('Error') ? 'Offline' : 'Online'}
-              </span>
-            )}
-          </div>
+          {backendOffline ? (
+            <div className="health-status error">
+              <span className="status-indicator" />
+              {!sidebarCollapsed && <span className="status-text">Offline</span>}
+            </div>
+          ) : readiness && (
+            <div className={`provider-status-list ${sidebarCollapsed ? 'collapsed' : ''}`}>
+              {Object.entries(readiness.providers).map(([id, provider]) => (
+                <div
+                  key={id}
+                  className={`provider-status ${provider.status}`}
+                  title={`${provider.displayName}: ${describeReadiness(provider)}`}
+                >
+                  <span className="status-indicator" />
+                  {!sidebarCollapsed && <span className="status-text">{provider.displayName}</span>}
+                </div>
+              ))}
+            </div>
+          )}
+          {quota?.enabled && !sidebarCollapsed && (
+            <div
+              className={`quota-status ${quota.requests.remaining === 0 || quota.providerCalls.remaining === 0 ? 'exhausted' : ''}`}
+              title="Remaining aggregation requests this minute and provider calls today"
+            >
+              <span>{quota.requests.remaining}/{quota.requests.limit} requests/min</span>
+              <span>{quota.providerCalls.remaining}/{quota.providerCalls.limit} calls today</span>
+            </div>
+          )}
         </div>
       </aside>
 
@@ -604,7 +1060,11 @@ function App() {
 
             {conversationHistory.map((message, index) => renderMessage(message, index))}
 
-            {loading && (
+            {loading && streamingResponse && Object.keys(streamingResponse.providers).length > 0 && (
+              renderStreamingMessage()
+            )}
+
+            {loading && (!streamingResponse || Object.keys(streamingResponse.providers).length === 0) && (
               <div className="claude-loading">
                 <div className="loading-dots">
                   <span></span>
@@ -645,18 +1105,26 @@ function App() {
                   <div className="character-count">
                     {`${prompt.length}/2000`}
                   </div>
-                  <button 
-                    type="submit" 
-                    disabled={loading || !prompt.trim()}
-                    className={`claude-submit-btn${prompt.trim() ? ' has-content' : ''}`}
-                    title="Send message"
-                  >
-                    {loading ? (
-                      <div className="loading-spinner"></div>
-                    ) : (
-                      '→'
-                    )}
-                  </button>
+                  {loading ? (
+                    <button
+                      type="button"
+                      onClick={stopAggregation}
+                      className="claude-submit-btn claude-stop-btn"
+                      title="Stop generating"
+                      aria-label="Stop generating"
+                    >
+                      <span className="stop-icon" />
+                    </button>
+                  ) : (
+                    <button 
+                      type="submit" 
+                      disabled={!prompt.trim()}
+                      className={`claude-submit-btn${prompt.trim() ? ' has-content' : ''}`}
+                      title="Send message"
+                    >
+                      →
+                    </button>
+                  )}
                 </div>
               </div>
             </form>
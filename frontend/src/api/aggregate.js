@@ -0,0 +1,161 @@
+// frontend/src/api/aggregate.js
+import { readQuotaHeaders } from './quota';
+
+// Version of the aggregate response contract this UI renders (see
+// backend/services/aggregateResponse.js)
+export const AGGREGATE_RESPONSE_VERSION = 3;
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const capitalize = (id) => id.charAt(0).toUpperCase() + id.slice(1);
+
+// Conversations keep responses in whatever shape they were saved in: version
+// 1 lacked provider reason codes, versions before 3 token usage, and before
+// versioning the field names depended on which backend answered. Convert them
+// to the current version so the UI only has to understand one shape (usage
+// stays null where it wasn't recorded); returns null if unusable.
+export function normalizeAggregateResponse(data) {
+  if (!data || !data.synthesis) return null;
+  if (data.version === AGGREGATE_RESPONSE_VERSION) return data;
+  if (data.version === 1 || data.version === 2) {
+    return {
+      ...data,
+      version: AGGREGATE_RESPONSE_VERSION,
+      synthesis: { ...data.synthesis, usage: null },
+      responses: Object.fromEntries(Object.entries(data.responses || {}).map(([id, result]) => [
+        id,
+        { reason: null, ...result, usage: null }
+      ])),
+      metadata: { ...data.metadata, usage: null }
+    };
+  }
+
+  const { synthesis } = data;
+  const score = synthesis.confidenceScore || 0;
+  const confidence = CONFIDENCE_LEVELS.includes(synthesis.confidence)
+    ? synthesis.confidence
+    : score >= 70 ? 'high' : score >= 30 ? 'medium' : 'low';
+
+  const responses = Object.fromEntries(Object.entries(data.individualResponses || {}).map(([id, response]) => {
+    const failed = !response || typeof response !== 'string';
+    return [id, {
+      displayName: capitalize(id),
+      status: failed ? 'error' : response.includes('mock response') ? 'mock' : 'ok',
+      reason: null,
+      text: failed ? null : response,
+      model: data.metadata?.models?.[id]?.model || null,
+      latencyMs: null,
+      error: failed ? { message: response?.message || 'No response available' } : null,
+      usage: null
+    }];
+  }));
+
+  return {
+    version: AGGREGATE_RESPONSE_VERSION,
+    prompt: data.prompt || '',
+    synthesis: {
+      answer: synthesis.synthesizedAnswer || synthesis.response || '',
+      confidence,
+      confidenceScore: score,
+      approach: synthesis.approach || '',
+      reasoning: synthesis.reasoning || synthesis.approach || '',
+      sourcesUsed: synthesis.sourcesUsed || [],
+      details: synthesis.details || {},
+      usage: null
+    },
+    responses,
+    metadata: { ...data.metadata, usage: null }
+  };
+}
+
+function formatRetryAfter(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.ceil(seconds / 60)} min`;
+  return `${Math.ceil(seconds / 3600)} h`;
+}
+
+const withRequestId = (message, requestId) => (requestId ? `${message} (request ${requestId})` : message);
+
+// POSTs to the streaming aggregation endpoint and calls onEvent for every
+// Server-Sent Event received. Resolves with the final aggregate response
+// carried by the `complete` event. onQuota, if given, receives the remaining
+// quota reported by the rate limit headers - including on a 429. Server
+// failures mention the request id the backend logged them under. Aborting
+// `signal`, or the server cancelling the aggregation, rejects with an
+// AbortError.
+export async function streamAggregate(baseUrl, body, { onEvent = () => {}, onQuota, signal } = {}) {
+  const response = await fetch(`${baseUrl}/api/aggregate/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  const quota = readQuotaHeaders(response.headers);
+  if (quota && onQuota) onQuota(quota);
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const message = withRequestId(data.error || `Request failed with status ${response.status}`, data.requestId);
+    const retryAfter = response.headers.get('Retry-After');
+    throw new Error(response.status === 429 && retryAfter
+      ? `${message}. Try again in ${formatRetryAfter(Number(retryAfter))}.`
+      : message);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  const handleBlock = (block) => {
+    let event = 'message';
+    const dataLines = [];
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    });
+    if (dataLines.length === 0) return;
+
+    const data = JSON.parse(dataLines.join('\n'));
+    if (event === 'error') {
+      throw new Error(withRequestId(data.error || 'Streaming aggregation failed', data.requestId));
+    }
+    if (event === 'cancelled') {
+      throw new DOMException('Aggregation cancelled', 'AbortError');
+    }
+    if (event === 'complete') {
+      result = data.result;
+    }
+    onEvent(event, data);
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      if (block.trim()) handleBlock(block);
+    }
+  }
+
+  if (buffer.trim()) handleBlock(buffer);
+
+  if (!result) {
+    throw new Error('Stream ended before the aggregation completed');
+  }
+  return result;
+}
+
+// Asks the server to stop a running aggregation, started with this requestId
+// in its body. Resolves to false if it had already finished.
+export async function cancelAggregation(baseUrl, requestId) {
+  const response = await fetch(`${baseUrl}/api/aggregate/${encodeURIComponent(requestId)}`, {
+    method: 'DELETE'
+  });
+  return response.ok;
+}
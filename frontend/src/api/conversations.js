@@ -0,0 +1,126 @@
+// frontend/src/api/conversations.js
+import axios from 'axios';
+
+// Conversations kept in localStorage before they were saved on the server
+const LEGACY_STORAGE_KEY = 'kosma-conversations';
+// Saved conversations the server could not accept, kept rather than lost
+const UNMIGRATED_STORAGE_KEY = 'kosma-conversations-unmigrated';
+
+// Within the import endpoint's limits: 500 conversations and a 5mb body, with
+// room left for the request's own JSON
+const IMPORT_BATCH_SIZE = 500;
+const IMPORT_BATCH_BYTES = 4 * 1024 * 1024;
+
+export async function listConversations(baseUrl) {
+  const response = await axios.get(`${baseUrl}/api/conversations`);
+  return response.data.conversations;
+}
+
+export async function getConversation(baseUrl, id) {
+  const response = await axios.get(`${baseUrl}/api/conversations/${encodeURIComponent(id)}`);
+  return response.data;
+}
+
+export async function createConversation(baseUrl, title) {
+  const response = await axios.post(`${baseUrl}/api/conversations`, title ? { title } : {});
+  return response.data;
+}
+
+export async function renameConversation(baseUrl, id, title) {
+  const response = await axios.patch(`${baseUrl}/api/conversations/${encodeURIComponent(id)}`, { title });
+  return response.data;
+}
+
+export async function deleteConversation(baseUrl, id) {
+  await axios.delete(`${baseUrl}/api/conversations/${encodeURIComponent(id)}`);
+}
+
+export async function appendMessages(baseUrl, id, messages) {
+  const response = await axios.post(`${baseUrl}/api/conversations/${encodeURIComponent(id)}/messages`, { messages });
+  return response.data;
+}
+
+// Moves conversations saved by older versions of the app from localStorage to
+// the server, in batches under the import endpoint's limits. Each batch is
+// removed from the local copy once the server accepted it, and the server
+// skips ids it already has, so an interrupted migration can rerun. What the
+// server can never accept - a conversation larger than a batch may be, or a
+// batch it rejects as invalid - is set aside under UNMIGRATED_STORAGE_KEY and
+// reported once instead of being retried on every load.
+export async function migrateLocalConversations(baseUrl) {
+  const saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!saved) return null;
+
+  let conversations;
+  try {
+    conversations = JSON.parse(saved);
+  } catch (error) {
+    console.error('Discarding unreadable saved conversations:', error);
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    return null;
+  }
+
+  // Empty placeholder conversations aren't worth keeping
+  const withMessages = (Array.isArray(conversations) ? conversations : [])
+    .filter(conversation => conversation?.id && conversation.messages?.length > 0)
+    .map(conversation => ({ ...conversation, id: String(conversation.id) }));
+
+  const { batches, oversized } = toImportBatches(withMessages);
+  const result = { imported: 0, skipped: 0, failed: 0 };
+  const setAside = (failed, reason) => {
+    console.error(`Could not migrate ${failed.length} saved conversation(s) - keeping them under "${UNMIGRATED_STORAGE_KEY}":`, reason);
+    const kept = JSON.parse(localStorage.getItem(UNMIGRATED_STORAGE_KEY) || '[]');
+    localStorage.setItem(UNMIGRATED_STORAGE_KEY, JSON.stringify([...kept, ...failed]));
+    result.failed += failed.length;
+  };
+
+  if (oversized.length > 0) setAside(oversized, 'too large to import');
+
+  let remaining = withMessages.filter(conversation => !oversized.includes(conversation));
+  for (const batch of batches) {
+    try {
+      const response = await axios.post(`${baseUrl}/api/conversations/import`, { conversations: batch });
+      result.imported += response.data.imported;
+      result.skipped += response.data.skipped;
+    } catch (error) {
+      // Network and server errors may pass - leave the rest for the next load
+      const status = error.response?.status;
+      if (!status || status >= 500) {
+        localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(remaining));
+        throw error;
+      }
+      setAside(batch, error.response.data?.error || error.message);
+    }
+    remaining = remaining.filter(conversation => !batch.includes(conversation));
+    localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(remaining));
+  }
+
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  return result;
+}
+
+// Conversations in batches of at most IMPORT_BATCH_SIZE and IMPORT_BATCH_BYTES
+// of JSON; `oversized` are the ones too large for a batch of their own
+function toImportBatches(conversations) {
+  const encoder = new TextEncoder();
+  const batches = [];
+  const oversized = [];
+  let batch = [];
+  let batchBytes = 0;
+  conversations.forEach(conversation => {
+    const bytes = encoder.encode(JSON.stringify(conversation)).length + 1;
+    if (bytes > IMPORT_BATCH_BYTES) {
+      oversized.push(conversation);
+      return;
+    }
+    if (batch.length === IMPORT_BATCH_SIZE || batchBytes + bytes > IMPORT_BATCH_BYTES) {
+      batches.push(batch);
+      batch = [];
+      batchBytes = 0;
+    }
+    batch.push(conversation);
+    batchBytes += bytes;
+  });
+  if (batch.length > 0) batches.push(batch);
+  return { batches, oversized };
+}
@@ -0,0 +1,12 @@
+// frontend/src/api/health.js
+import axios from 'axios';
+
+// Per-provider readiness: { status, providers: { [id]: { displayName,
+// status, probe, errorRate, circuit } } }. The backend answers 503 while no
+// provider can answer, with the same report.
+export async function getReadiness(baseUrl) {
+  const response = await axios.get(`${baseUrl}/api/health/ready`, {
+    validateStatus: status => status === 200 || status === 503
+  });
+  return response.data;
+}
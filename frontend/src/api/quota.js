@@ -0,0 +1,29 @@
+// frontend/src/api/quota.js
+import axios from 'axios';
+
+// The caller's remaining rate limit and provider call quota, or
+// { enabled: false } when the backend doesn't limit requests
+export async function getQuota(baseUrl) {
+  const response = await axios.get(`${baseUrl}/api/quota`);
+  return response.data;
+}
+
+// Quota reported by the rate limit headers of an aggregation response, in the
+// same shape as getQuota; null if the response carries none
+export function readQuotaHeaders(headers) {
+  const requestsLimit = headers.get('X-RateLimit-Limit');
+  const callsLimit = headers.get('X-Quota-Limit');
+  if (requestsLimit === null || callsLimit === null) return null;
+
+  return {
+    enabled: true,
+    requests: {
+      limit: Number(requestsLimit),
+      remaining: Number(headers.get('X-RateLimit-Remaining'))
+    },
+    providerCalls: {
+      limit: Number(callsLimit),
+      remaining: Number(headers.get('X-Quota-Remaining'))
+    }
+  };
+}
@@ -0,0 +1,44 @@
+// frontend/src/citations.js
+//
+// Inline citations of the synthesized answer (synthesis.citations). Before
+// the answer is rendered as Markdown each marker group ("[OpenAI][Google]")
+// is turned into one link per cited model, pointing at #cite-<citation>-<provider>,
+// which the Markdown renderer shows as a citation button.
+const CITATION_LINK = /^#cite-(\d+)-(.+)$/;
+
+const escapeLinkText = (text) => text.replace(/[[\]\\]/g, '\\$&');
+
+// The answer with its marker groups replaced by citation links
+export function withCitationLinks(text, citations = [], responses = {}) {
+  let result = '';
+  let last = 0;
+  citations.forEach((citation, i) => {
+    const links = citation.sources.map(({ provider }) =>
+      `[${escapeLinkText(responses[provider]?.displayName || provider)}](#cite-${i}-${encodeURIComponent(provider)})`
+    );
+    result += text.slice(last, citation.at) + links.join('');
+    last = citation.at + citation.marker.length;
+  });
+  return result + text.slice(last);
+}
+
+// The answer without its marker groups, as sent back in the conversation
+// history - models would take the markers for part of the conversation and
+// repeat them. Syntheses saved before plainAnswer existed have each group,
+// and the space before it, cut out.
+export function plainAnswer({ answer, plainAnswer, citations = [] }) {
+  if (typeof plainAnswer === 'string') return plainAnswer;
+  let result = '';
+  let last = 0;
+  citations.forEach(citation => {
+    result += answer.slice(last, Math.max(last, citation.at - 1));
+    last = citation.at + citation.marker.length;
+  });
+  return result + answer.slice(last);
+}
+
+// { citation, provider } for a citation link's href, or null for other links
+export function parseCitationLink(href) {
+  const match = href?.match(CITATION_LINK);
+  return match ? { citation: Number(match[1]), provider: decodeURIComponent(match[2]) } : null;
+}
@@ -0,0 +1,76 @@
+// frontend/src/components/Markdown.jsx
+//
+// Markdown for model output - the synthesis and every model's answer - with
+// GitHub tables and task lists, math (KaTeX), syntax-highlighted code blocks
+// with a copy button, and links that open in a new tab. Raw HTML in the text
+// is never rendered, and react-markdown drops unsafe URLs (javascript: and
+// the like), so model output can't inject markup or scripts.
+import React, { useRef, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import rehypeHighlight from 'rehype-highlight';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github-dark.css';
+import { parseCitationLink } from '../citations';
+
+const COPIED_FEEDBACK_MS = 2000;
+
+const remarkPlugins = [remarkGfm, remarkMath];
+// Code blocks are highlighted in the language they name; others stay plain
+const rehypePlugins = [rehypeKatex, rehypeHighlight];
+
+function CodeBlock({ children }) {
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current?.innerText || '');
+      setCopied(true);
+      setTimeout(() => setCopied(false), COPIED_FEEDBACK_MS);
+    } catch (error) {
+      console.error('Could not copy the code:', error);
+    }
+  };
+
+  return (
+    <div className="code-block">
+      <button type="button" className="code-copy-button" onClick={copy}>
+        {copied ? 'Copied' : 'Copy'}
+      </button>
+      <pre ref={preRef}>{children}</pre>
+    </div>
+  );
+}
+
+// `renderCitation(citation, provider, label)` renders the citation links made
+// by withCitationLinks (see citations.js); without it they show as plain text
+function Markdown({ text, renderCitation, className = '' }) {
+  const components = {
+    pre: CodeBlock,
+    a: ({ href, children }) => {
+      const citation = parseCitationLink(href);
+      if (citation) {
+        return renderCitation ? renderCitation(citation.citation, citation.provider, children) : <span>[{children}]</span>;
+      }
+      return <a href={href} target="_blank" rel="noopener noreferrer">{children}</a>;
+    },
+    table: ({ children }) => (
+      <div className="markdown-table-wrapper">
+        <table>{children}</table>
+      </div>
+    ),
+  };
+
+  return (
+    <div className={`markdown-content ${className}`.trim()}>
+      <ReactMarkdown remarkPlugins={remarkPlugins} rehypePlugins={rehypePlugins} components={components}>
+        {text || ''}
+      </ReactMarkdown>
+    </div>
+  );
+}
+
+export default Markdown;